@@ -1,8 +1,240 @@
+/**
+ * Loader settings, data-main-ace-* attributes take precedence
+ */
+export interface AceLoaderOptions {
+    /** URLs of ace.js tried in order when the main one fails (data-main-ace-fallback) */
+    fallback?: string | string[];
+    /** Max time in ms of a single load attempt (data-main-ace-timeout, default 15000) */
+    timeout?: number;
+    /** Retries per URL with exponential backoff (data-main-ace-retries, default 2) */
+    retries?: number;
+}
+
 /**
  * Sets the main Ace Editor script URL to be used for dynamic loading
  * @param url The URL of the Ace Editor main script
+ * @param loader Fallback URLs, timeout and retries
+ */
+export function setDataMainAce(url: string, loader?: AceLoaderOptions): void;
+
+export type AceIdConflictPolicy = "error" | "warn" | "rename" | "allow";
+
+/**
+ * Sets what happens when two <ace-editor> elements share an id (page-wide default, "error" if not set)
+ * id-conflict attribute and data-main-ace-id-conflict take precedence
+ */
+export function setIdConflictPolicy(policy: AceIdConflictPolicy): void;
+
+/**
+ * Detail of 'ace-id-conflict' event
+ */
+export interface AceIdConflictDetail {
+    /** The duplicate id */
+    id: string;
+    /** id the element ended up with (differs from id only with "rename") */
+    newId: string;
+    policy: AceIdConflictPolicy;
+    message: string;
+}
+
+/**
+ * Ace config applied with ace.config.set() before the first editor is created
+ * Paths not given fall back to basePath, which defaults to the directory of the loaded ace.js
+ */
+export interface AceConfig {
+    /** data-ace-base-path */
+    basePath?: string;
+    /** data-ace-mode-path */
+    modePath?: string;
+    /** data-ace-theme-path */
+    themePath?: string;
+    /** data-ace-worker-path */
+    workerPath?: string;
+    [key: string]: unknown;
+}
+
+/**
+ * Configures Ace before the first editor is created (applied right away if Ace is loaded already)
+ * data-ace-* attributes take precedence
+ */
+export function setAceConfig(config: AceConfig): void;
+
+/**
+ * Provides Ace without a classic <script> and window.ace (Vite/webpack apps shipping ace-builds)
+ * Takes precedence over data-main-ace/setDataMainAce()
+ * @param provider ace namespace or (async) function returning it, module with default export is accepted
+ * @param options.resolver Registers modes, themes, extensions and workers with the bundler
+ * @example
+ * setAceProvider(() => import("ace-builds"), { resolver: () => import("ace-builds/esm-resolver") });
+ */
+export function setAceProvider(
+    provider: object | (() => object | Promise<object>),
+    options?: { resolver?: () => unknown }
+): void;
+
+/**
+ * Detail of 'ace-load-error' event
+ */
+export interface AceLoadErrorDetail {
+    /** Last URL that failed */
+    url: string;
+    /** e.g. "network error" or "timeout after 15000ms" */
+    reason: string;
+    error: Error;
+}
+
+export interface AceAnnotation {
+    row: number;
+    column: number;
+    text: string;
+    type: "error" | "warning" | "info";
+}
+
+export interface AceDiagnostic {
+    /** 0-based start row */
+    row: number;
+    /** 0-based start column */
+    column?: number;
+    endRow?: number;
+    endColumn?: number;
+    severity?: "error" | "warning" | "info" | "hint";
+    message: string;
+    source?: string;
+}
+
+/**
+ * Detail of cancelable 'ace-copy' and 'ace-download' events
+ * Listeners may change text/filename or call preventDefault() to handle the action themselves
+ */
+export interface AceToolbarActionDetail {
+    text: string;
+    filename?: string;
+    id: string;
+}
+
+/**
+ * Detail of cancelable 'linkclick' event, preventDefault() stops opening a new tab
+ */
+export interface AceLinkClickDetail {
+    url: string;
+    row: number;
+    column: number;
+    id: string;
+}
+
+/**
+ * Detail of 'restored' event, fired when persist="key" state was restored on load
+ */
+export interface AceRestoredDetail {
+    key: string;
+    value: string;
+    id: string;
+}
+
+export interface AceCompletion {
+    caption?: string;
+    value?: string;
+    snippet?: string;
+    meta?: string;
+    score?: number;
+    docHTML?: string;
+    docText?: string;
+}
+
+export interface AceCompleter {
+    getCompletions(
+        editor: any,
+        session: any,
+        position: { row: number; column: number },
+        prefix: string,
+        callback: (error: any, completions: AceCompletion[]) => void
+    ): void;
+    identifierRegexps?: RegExp[];
+    triggerCharacters?: string[];
+    id?: string;
+}
+
+/** Ace delta of 'ace-change' event */
+export interface AceDelta {
+    action: "insert" | "remove";
+    start: { row: number; column: number };
+    end: { row: number; column: number };
+    lines: string[];
+}
+
+export interface AceChangeDetail {
+    delta: AceDelta;
+    /** false for value setter, attribute updates and restored state */
+    isUserInput: boolean;
+    id: string;
+}
+
+export interface AceSelectionChangeDetail {
+    range: { start: { row: number; column: number }; end: { row: number; column: number } };
+    isEmpty: boolean;
+    id: string;
+}
+
+export interface AceCursorChangeDetail {
+    row: number;
+    column: number;
+    id: string;
+}
+
+export interface AceScrollDetail {
+    scrollTop: number;
+    scrollLeft: number;
+    id: string;
+}
+
+export interface AceResizeDetail {
+    width: number;
+    height: number;
+    id: string;
+}
+
+export interface AceLoadDetail {
+    component: AceEditorComponent;
+    editor: any;
+    id: string;
+}
+
+export interface AceDiagnosticsDetail {
+    annotations: AceAnnotation[];
+    errors: AceAnnotation[];
+    id: string;
+}
+
+export interface AceVimModeChangeDetail {
+    mode: string;
+    previousMode: string | null;
+    id: string;
+}
+
+/**
+ * Events dispatched by <ace-editor> (all bubble)
  */
-export function setDataMainAce(url: string): void;
+export interface AceEditorEventMap extends HTMLElementEventMap {
+    "ace-ready": CustomEvent<AceLoadDetail>;
+    "input": Event;
+    "ace-change": CustomEvent<AceChangeDetail>;
+    "ace-selectionchange": CustomEvent<AceSelectionChangeDetail>;
+    "ace-cursorchange": CustomEvent<AceCursorChangeDetail>;
+    "ace-scroll": CustomEvent<AceScrollDetail>;
+    "ace-resize": CustomEvent<AceResizeDetail>;
+    /** Native FocusEvent of Ace's textarea, retargeted to the host */
+    "focus": FocusEvent;
+    "blur": FocusEvent;
+    "aceOnLoad": CustomEvent<AceLoadDetail>;
+    "diagnostics": CustomEvent<AceDiagnosticsDetail>;
+    "ace-vimmodechange": CustomEvent<AceVimModeChangeDetail>;
+    "ace-copy": CustomEvent<AceToolbarActionDetail>;
+    "ace-download": CustomEvent<AceToolbarActionDetail>;
+    "linkclick": CustomEvent<AceLinkClickDetail>;
+    "ace-load-error": CustomEvent<AceLoadErrorDetail>;
+    "restored": CustomEvent<AceRestoredDetail>;
+    "ace-id-conflict": CustomEvent<AceIdConflictDetail>;
+}
 
 /**
  * Web Component for wrapping Ace Editor
@@ -10,6 +242,8 @@ export function setDataMainAce(url: string): void;
 declare class AceEditorComponent extends HTMLElement {
     /**
      * Get the current content of the editor
+     * Before the editor is loaded returns the content it is going to be initialized with
+     * (and initializes a loading="lazy" editor)
      */
     get value(): string;
 
@@ -24,6 +258,133 @@ declare class AceEditorComponent extends HTMLElement {
      */
     getEditor(): any;
 
+    /**
+     * Resolves once the editor is fully loaded, rejects when loading fails
+     */
+    readonly ready: Promise<{ editor: any; component: AceEditorComponent }>;
+
+    /**
+     * Same as ready
+     */
+    whenReady(): Promise<{ editor: any; component: AceEditorComponent }>;
+
+    /**
+     * Loads Ace extension script (ext-*.js or keybinding-*.js) next to ace.js, only once
+     * @param name Extension name e.g. "language_tools", "searchbox", "keybinding-vim"
+     */
+    static loadExtension(name: string): Promise<any>;
+
+    /**
+     * Registers completer used only by this editor instance (requires autocomplete attribute)
+     * @returns Function that unregisters the completer
+     */
+    registerCompleter(completer: AceCompleter): () => void;
+
+    /**
+     * Removes completer added with registerCompleter()
+     */
+    unregisterCompleter(completer: AceCompleter): void;
+
+    /**
+     * Annotations currently shown in the gutter (from Ace workers when validate is set)
+     * Changes are announced with the 'diagnostics' event
+     */
+    readonly annotations: AceAnnotation[];
+
+    /**
+     * Shows diagnostics from external tools as gutter annotations, squiggly underlines and hover tooltips
+     * Diagnostics are kept per source; passing source replaces only that set
+     */
+    setDiagnostics(diagnostics: AceDiagnostic[], source?: string): void;
+
+    /**
+     * Removes diagnostics of given source, or all of them
+     */
+    clearDiagnostics(source?: string): void;
+
+    /**
+     * All diagnostics added with setDiagnostics()
+     */
+    readonly diagnostics: AceDiagnostic[];
+
+    /**
+     * Callback pulled (debounced) after each change, its results replace the "linter" set
+     */
+    linter:
+        | ((
+              value: string,
+              context: { editor: any; component: AceEditorComponent }
+          ) => AceDiagnostic[] | Promise<AceDiagnostic[]>)
+        | null;
+
+    /**
+     * Destroys Ace instance, stops observers and unregisters the ID
+     * Automatic on removal from the document (not on moves), needed only with keep-alive
+     */
+    destroy(): void;
+
+    /**
+     * Removes state saved under the persist attribute key (the editor keeps its content)
+     */
+    clearPersisted(): void;
+
+    /**
+     * Theme name resolved from theme/theme-light/theme-dark and the current color scheme
+     */
+    readonly resolvedTheme: string;
+
+    /**
+     * Current vim mode, null when keybinding is not vim
+     * Changes are announced with the 'ace-vimmodechange' event
+     */
+    readonly vimMode: "NORMAL" | "INSERT" | "VISUAL" | "VISUAL LINE" | "VISUAL BLOCK" | null;
+
+    /**
+     * Extra Ace options passed to editor.setOptions()
+     * Dedicated attributes (tab-size, wrap, ...) override the same keys
+     */
+    get options(): Record<string, unknown>;
+    set options(options: Record<string, unknown> | string | null);
+
+    /**
+     * Enables ElementInternals so the editor takes part in <form> submission
+     */
+    static readonly formAssociated: true;
+
+    /**
+     * The <form> this editor is associated with
+     */
+    readonly form: HTMLFormElement | null;
+
+    /**
+     * Name under which the value is submitted (reflects the name attribute)
+     */
+    name: string;
+
+    /**
+     * Reflects the required attribute
+     */
+    required: boolean;
+
+    /**
+     * Reflects the disabled attribute
+     */
+    disabled: boolean;
+
+    readonly validity: ValidityState | undefined;
+    readonly validationMessage: string;
+    readonly willValidate: boolean;
+
+    checkValidity(): boolean;
+    reportValidity(): boolean;
+
+    /**
+     * Form-associated custom element callbacks
+     */
+    formResetCallback(): void;
+    formDisabledCallback(disabled: boolean): void;
+    formStateRestoreCallback(state: string | File | FormData | null): void;
+
     /**
      * Tracks whether the editor has been fully loaded
      * @private
@@ -35,12 +396,33 @@ declare class AceEditorComponent extends HTMLElement {
      * @param type The event type to listen for
      * @param listener The event listener function
      * @param options Optional event listener options
+     * @deprecated 'onLoad' - use ready/whenReady() or the 'ace-ready' event
      */
     addEventListener(
         type: 'onLoad',
-        listener: () => void,
+        listener: (detail: AceLoadDetail) => void,
+        options?: boolean | AddEventListenerOptions
+    ): void;
+    addEventListener<K extends keyof AceEditorEventMap>(
+        type: K,
+        listener: (this: AceEditorComponent, event: AceEditorEventMap[K]) => any,
         options?: boolean | AddEventListenerOptions
     ): void;
+    addEventListener(
+        type: string,
+        listener: EventListenerOrEventListenerObject,
+        options?: boolean | AddEventListenerOptions
+    ): void;
+    removeEventListener<K extends keyof AceEditorEventMap>(
+        type: K,
+        listener: (this: AceEditorComponent, event: AceEditorEventMap[K]) => any,
+        options?: boolean | EventListenerOptions
+    ): void;
+    removeEventListener(
+        type: string,
+        listener: EventListenerOrEventListenerObject,
+        options?: boolean | EventListenerOptions
+    ): void;
 
     /**
      * Dispatches the load event and triggers pending load listeners
@@ -49,10 +431,68 @@ declare class AceEditorComponent extends HTMLElement {
     _triggerLoadEvent(): void;
 }
 
+export interface AceDiffChunk {
+    /** Range in the original content (rows are 0-based, end row exclusive) */
+    old: { start: { row: number; column: number }; end: { row: number; column: number } };
+    /** Range in the modified content (rows are 0-based, end row exclusive) */
+    new: { start: { row: number; column: number }; end: { row: number; column: number } };
+}
+
+export interface AceDiffChangeDetail {
+    /** Merged result (modified side) */
+    value: string;
+    original: string;
+    modified: string;
+    action: "edit" | "accept" | "revert";
+}
+
+/**
+ * Web Component for Ace diff view (split or inline)
+ */
+export declare class AceDiffComponent extends HTMLElement {
+    /** Original content */
+    original: string;
+
+    /** Modified content */
+    modified: string;
+
+    /** Merged result: modified content with reverted changes restored */
+    readonly value: string;
+
+    /** Changes between original and modified content */
+    readonly chunks: AceDiffChunk[];
+
+    /** Get the native Ace DiffView instance */
+    getDiffView(): any;
+
+    goToChunk(index: number): void;
+    nextChunk(): void;
+    previousChunk(): void;
+
+    /** Original side takes the modified text (defaults to the current change) */
+    acceptChunk(index?: number): void;
+
+    /** Modified side takes the original text back (defaults to the current change) */
+    revertChunk(index?: number): void;
+}
+
+/**
+ * Web Component rendering read-only, syntax highlighted snippets without a live editor
+ */
+export declare class AceHighlightComponent extends HTMLElement {
+    /** Highlighted content */
+    value: string;
+
+    /** Replaces this element in place with a full <ace-editor> holding the same content */
+    upgrade(): AceEditorComponent;
+}
+
 // Global type declarations
 declare global {
     interface HTMLElementTagNameMap {
         'ace-editor': AceEditorComponent;
+        'ace-diff': AceDiffComponent;
+        'ace-highlight': AceHighlightComponent;
     }
 
     interface Window {
@@ -71,10 +511,64 @@ declare global {
           value?: string;
           /** Programming language mode */
           lang?: string;
-          /** Editor theme */
+          /** Editor theme, "auto" follows the color scheme */
           theme?: string;
+          /** Theme for light color scheme (theme="auto") */
+          ["theme-light"]?: string;
+          /** Theme for dark color scheme (theme="auto") */
+          ["theme-dark"]?: string;
           /** Readonly mode */
           readonly?: boolean;
+          /** Tab size */
+          ["tab-size"]?: number;
+          /** Wrap mode: true/false, line length or "free" | "printMargin" */
+          wrap?: boolean | number | "off" | "free" | "printMargin";
+          /** Font size, e.g. 14 or "14px" */
+          ["font-size"]?: number | string;
+          /** Show line numbers gutter */
+          ["show-gutter"]?: boolean | "true" | "false";
+          /** Show print margin */
+          ["show-print-margin"]?: boolean | "true" | "false";
+          /** Use spaces instead of tabs */
+          ["soft-tabs"]?: boolean | "true" | "false";
+          /** JSON object passed to editor.setOptions() */
+          options?: string;
+          /** Comma separated Ace extensions to load e.g. "language_tools,searchbox" */
+          extensions?: string;
+          /** Keyboard handler */
+          keybinding?: "vim" | "emacs" | "sublime" | "vscode";
+          /** Comma separated completion modes */
+          autocomplete?: string;
+          /** Enable syntax validation through Ace workers */
+          validate?: boolean;
+          /** Defer initialization until the element is near the viewport */
+          loading?: "lazy" | "eager";
+          /** IntersectionObserver rootMargin for lazy loading, default "200px" */
+          ["root-margin"]?: string;
+          /** Comma separated toolbar actions: copy, download, fullscreen, wrap */
+          toolbar?: string;
+          /** File name used by the download action */
+          filename?: string;
+          /** Ctrl/Cmd + click opens http(s) URLs (fires cancelable 'linkclick') */
+          links?: boolean;
+          /** Name under which the value is submitted with a form */
+          name?: string;
+          /** Mark the editor invalid while empty */
+          required?: boolean;
+          /** Exclude from form submission and make read-only */
+          disabled?: boolean;
+          /** 1-based lines to highlight e.g. "3-5,9" */
+          ["highlight-lines"]?: string;
+          /** 1-based lines to focus e.g. "10-20", the other lines are dimmed */
+          ["focus-lines"]?: string;
+          /** Fold the lines outside focus-lines */
+          ["focus-fold"]?: boolean;
+          /** Duplicate id handling, default "error" */
+          ["id-conflict"]?: AceIdConflictPolicy;
+          /** Don't tear down when removed from the document, call destroy() when done */
+          ["keep-alive"]?: boolean;
+          /** localStorage key for value, cursor, selection, scroll, folds and undo history */
+          persist?: string;
           /** Min height in px */
           ["min-height-px"]?: number;
           /** Min height in lines */
@@ -83,11 +577,53 @@ declare global {
           ["data-nolt"]?: boolean;
           /** Evaluate code after load */
           ["data-eval"]?: boolean | "module";
-          /** Event fired when editor is fully loaded */
+          /**
+           * Event fired when editor is fully loaded
+           * @deprecated use ["onace-ready"] or the ready promise
+           */
           onLoad?: () => void;
+          ["onace-ready"]?: (event: AceEditorEventMap["ace-ready"]) => void;
+          /** React 19 attaches on* props of custom elements as listeners of the same event name */
+          ["onace-change"]?: (event: AceEditorEventMap["ace-change"]) => void;
+          ["onace-selectionchange"]?: (event: AceEditorEventMap["ace-selectionchange"]) => void;
+          ["onace-cursorchange"]?: (event: AceEditorEventMap["ace-cursorchange"]) => void;
+          ["onace-scroll"]?: (event: AceEditorEventMap["ace-scroll"]) => void;
+          ["onace-resize"]?: (event: AceEditorEventMap["ace-resize"]) => void;
         },
         AceEditorComponent
       >;
+      "ace-diff": React.DetailedHTMLProps<
+        React.HTMLAttributes<AceDiffComponent> & {
+          /** Original content */
+          original?: string;
+          /** Modified content */
+          modified?: string;
+          /** Side by side or interleaved */
+          mode?: "split" | "inline";
+          /** Programming language mode */
+          lang?: string;
+          /** Editor theme */
+          theme?: string;
+        },
+        AceDiffComponent
+      >;
+      "ace-highlight": React.DetailedHTMLProps<
+        React.HTMLAttributes<AceHighlightComponent> & {
+          /** Content */
+          value?: string;
+          /** Programming language mode */
+          lang?: string;
+          /** Color theme */
+          theme?: string;
+          /** Show line numbers */
+          ["show-gutter"]?: boolean | "true" | "false";
+          /** Upgrade to <ace-editor> on click */
+          ["click-to-edit"]?: boolean;
+          /** Disable entity decoding */
+          ["data-nolt"]?: boolean;
+        },
+        AceHighlightComponent
+      >;
     }
   }
 }
@@ -1,10 +1,68 @@
 // ace-web-component.js - Singleton loader for Ace Editor using window global pattern
 // This file loads the Ace Editor library only once, no matter how many components use it
 // use: <script type="module" src="./ace-web-component.js" data-main-ace="/noprettier/ace/ace-builds-[version]/src-min-noconflict/ace.js"></script>
+// bundlers: setAceProvider(() => import("ace-builds"), { resolver: () => import("ace-builds/esm-resolver") })
 
 let dataMainAce;
-export function setDataMainAce(url) {
+let dataMainAceLoader = {};
+/**
+ * @param {string} url - URL of ace.js
+ * @param {Object} [loader] - Same as data-main-ace-* attributes (attributes take precedence)
+ * @param {string|string[]} [loader.fallback] - URLs of ace.js tried in order when url fails
+ * @param {number} [loader.timeout] - Max time (ms) of a single load attempt
+ * @param {number} [loader.retries] - Retries per URL (with exponential backoff)
+ */
+export function setDataMainAce(url, loader = {}) {
   dataMainAce = url;
+  dataMainAceLoader = loader;
+}
+
+// Ace config (basePath, modePath, themePath, workerPath, ...) applied before the first ace.edit(), see setAceConfig()
+let aceConfig = {};
+/**
+ * Configures Ace (ace.config.set) before the first editor is created - alongside setDataMainAce()
+ * data-ace-base-path, data-ace-mode-path, data-ace-theme-path and data-ace-worker-path attributes take precedence
+ * @param {Object} config - e.g. { basePath: "https://cdn.example.com/ace/", workerPath: "/ace-workers/" }
+ * @param {string} [config.basePath] - Default location of mode-*.js, theme-*.js, worker-*.js and extensions
+ * @param {string} [config.modePath]
+ * @param {string} [config.themePath]
+ * @param {string} [config.workerPath]
+ */
+export function setAceConfig(config) {
+  aceConfig = { ...aceConfig, ...config };
+
+  // Ace already loaded - apply right away
+  if (loadedAce) {
+    applyAceConfig(loadedAce);
+  }
+}
+
+// Page-wide duplicate ID policy, see setIdConflictPolicy()
+let idConflictPolicy;
+/**
+ * Sets what happens when two <ace-editor> elements share an id (id-conflict attribute overrides it per element)
+ * @param {string} policy - "error" (default), "warn", "rename" or "allow"
+ */
+export function setIdConflictPolicy(policy) {
+  idConflictPolicy = policy;
+}
+
+// Source of the ace namespace for bundlers (instead of <script> + window.ace), see setAceProvider()
+let aceProvider = null;
+let aceResolver = null;
+/**
+ * Provides Ace without a classic <script> and window.ace - for Vite/webpack apps shipping ace-builds
+ * Takes precedence over data-main-ace/setDataMainAce(url)
+ * @param {Object|Function} provider - ace namespace or (async) function returning it (module with default export is fine)
+ * @param {Object} [options]
+ * @param {Function} [options.resolver] - Loads resolver registering modes, themes, extensions and workers with the bundler
+ *   e.g. () => import("ace-builds/esm-resolver") or () => import("ace-builds/webpack-resolver")
+ * @example
+ * setAceProvider(() => import("ace-builds"), { resolver: () => import("ace-builds/esm-resolver") });
+ */
+export function setAceProvider(provider, { resolver } = {}) {
+  aceProvider = provider;
+  aceResolver = resolver || null;
 }
 
 function log(...args) {
@@ -19,16 +77,63 @@ const currentScript = document.currentScript;
 // Singleton loader for Ace Editor
 let aceEditorPromise = null;
 
+// URL ace.js was actually loaded from (differs from data-main-ace when a fallback was used)
+let loadedAceUrl = null;
+
+// Loaded ace namespace (window.ace or the one from setAceProvider())
+let loadedAce = null;
+
+// Ace config keys settable with attributes
+// NOTE: These are Ace's own data-ace-* names on purpose - Ace reads them from script tags the same way
+const aceConfigAttributes = {
+  basePath: "data-ace-base-path",
+  modePath: "data-ace-mode-path",
+  themePath: "data-ace-theme-path",
+  workerPath: "data-ace-worker-path",
+};
+
+// Loader defaults, see data-main-ace-timeout and data-main-ace-retries
+const DEFAULT_LOAD_TIMEOUT = 15000;
+const DEFAULT_LOAD_RETRIES = 2;
+const RETRY_BASE_DELAY = 500;
+
+// Timed out scripts that may still be running: url -> "loading" or "ready" (finished after the timeout)
+// Such URL is never injected again, not even by loads started later - see loadScriptWithRetry()
+const inFlightScripts = new Map();
+
+// Callbacks of components that failed to load, called when a timed out script finishes after all
+const lateScriptSubscribers = new Set();
+
+// Singleton loaders for Ace extensions (ext-*.js, keybinding-*.js) keyed by file name
+const aceExtensionPromises = new Map();
+
+// addEventListener("onLoad") deprecation is reported only once per page
+let onLoadDeprecationWarned = false;
+
 // Track all ace-editor IDs to detect duplicates and generate unique IDs
 const registeredIds = new Set();
 let autoIdCounter = 0;
 
+// Duplicate ID policies (id-conflict attribute, data-main-ace-id-conflict, setIdConflictPolicy())
+const idConflictPolicies = ["error", "warn", "rename", "allow"];
+
 /**
  * Generates a unique ID for an ace-editor component
- * @returns {string} Unique ID in format "ace-editor-N"
+ * @param {string} [base] - Taken ID to derive the new one from ("my-editor" -> "my-editor-2")
+ * @returns {string} Unique ID in format "ace-editor-N" or "<base>-N"
  */
-function generateUniqueId() {
+function generateUniqueId(base) {
   let id;
+
+  if (base) {
+    let suffix = 1;
+    do {
+      suffix++;
+      id = `${base}-${suffix}`;
+    } while (registeredIds.has(id) || document.getElementById(id));
+    return id;
+  }
+
   do {
     autoIdCounter++;
     id = `ace-editor-${autoIdCounter}`;
@@ -70,6 +175,75 @@ function visible(el) {
   return true;
 }
 
+/**
+ * Parses a boolean attribute value
+ * Present without value ("") or "true" means true, "false"/"off" means false
+ * @param {string} value - Attribute value
+ * @returns {boolean}
+ */
+function parseBooleanAttribute(value) {
+  return !/^(false|off|0)$/i.test(value.trim());
+}
+
+/**
+ * Maps declarative attributes onto Ace options (editor.setOptions)
+ * default is applied when the attribute is absent (or removed at runtime), so it must match Ace's initial value
+ * parse returning undefined (e.g. tab-size="abc") is treated like an absent attribute
+ */
+const optionAttributes = {
+  "tab-size": {
+    option: "tabSize",
+    default: 4,
+    parse: (value) => {
+      const size = parseInt(value, 10);
+      return Number.isFinite(size) ? size : undefined;
+    },
+  },
+  wrap: {
+    option: "wrap",
+    default: true,
+    // wrap, wrap="true" -> true, wrap="off" -> false, wrap="80" -> 80, wrap="free"/"printMargin" -> as is
+    parse: (value) => {
+      if (/^\d+$/.test(value)) return parseInt(value, 10);
+      if (/^(free|printMargin)$/.test(value)) return value;
+      return parseBooleanAttribute(value);
+    },
+  },
+  "font-size": {
+    option: "fontSize",
+    default: 12,
+    parse: (value) => (/^\d+$/.test(value) ? parseInt(value, 10) : value),
+  },
+  "show-gutter": {
+    option: "showGutter",
+    default: true,
+    parse: parseBooleanAttribute,
+  },
+  "show-print-margin": {
+    option: "showPrintMargin",
+    default: true,
+    parse: parseBooleanAttribute,
+  },
+  "soft-tabs": {
+    option: "useSoftTabs",
+    default: true,
+    parse: parseBooleanAttribute,
+  },
+};
+
+/**
+ * Initial value of Ace option (the one used when nobody set it)
+ * Options of the renderer/session are forwarded by the editor, their initial value is defined there
+ * @param {Object} editor - Ace editor instance
+ * @param {string} key - Option name e.g. "highlightActiveLine"
+ * @returns {*} undefined when unknown
+ */
+function getInitialOptionValue(editor, key) {
+  const option = editor.$options?.[key];
+  const target = option?.forwardTo ? editor[option.forwardTo] : editor;
+  return target?.$options?.[key]?.initialValue;
+}
+
 /**
  * Decodes HTML entities in a string (similar to lodash _.unescape)
  * Converts &lt; to <, &gt; to >, &amp; to &, &quot; to ", &#39; to '
@@ -90,6 +264,102 @@ function unescapeHtmlEntities(str) {
   return str.replace(/&(?:lt|gt|amp|quot|#39|#x27|#x2F);/g, (match) => htmlEntities[match] || match);
 }
 
+/**
+ * Removes common leading whitespace from all lines (lines with only whitespace are ignored)
+ * @param {string} text - Text to dedent
+ * @returns {string} Dedented text
+ */
+function dedent(text) {
+  let diff = Number.MAX_SAFE_INTEGER;
+
+  let tmp = text.split("\n");
+
+  tmp.forEach((line) => {
+    if (!/^\s*$/.test(line)) {
+      // if line isn't just white characters
+      const length_before = line.length;
+
+      const length_after = line.replace(/^\s+/, "").length;
+
+      const d = length_before - length_after;
+
+      if (d < diff) {
+        diff = d;
+      }
+    }
+  });
+
+  if (diff !== Number.MAX_SAFE_INTEGER && diff > 0) {
+    tmp = tmp.map((line) => line.substring(diff));
+
+    return tmp.join("\n");
+  }
+
+  return text;
+}
+
+/**
+ * Reads initial content of <ace-editor>/<ace-highlight> from multiple sources
+ * Priority: value attribute > <script type="ace"> > textContent > content attribute
+ * Static content is HTML-entity decoded (unless data-nolt), everything is dedented (unless data-notrim)
+ * @param {HTMLElement} element - Element to read content from
+ * @param {string} [fallback] - Content used when the element provides none (e.g. set through the value property)
+ * @returns {string} Content
+ */
+function readElementContent(element, fallback) {
+  let content = typeof fallback === "string" ? fallback : "";
+
+  const value = element.getAttribute("value");
+  // Check for value attribute first
+  if (typeof value === "string" && value) {
+    content = value;
+  }
+  // Check for <script> tag
+  else {
+    const scriptTag = element.querySelector("script");
+    if (scriptTag) {
+      if (typeof scriptTag.textContent === "string" && scriptTag.textContent) {
+        content = scriptTag.textContent;
+      }
+    } else {
+      const contentAttribute = element.getAttribute("content");
+      if (typeof element.textContent === "string" && element.textContent) {
+        content = element.textContent;
+      } else if (typeof contentAttribute === "string" && contentAttribute) {
+        content = contentAttribute;
+      }
+    }
+
+    // Decode HTML entities ONLY when reading from static content (not from value attribute)
+    // and ONLY if data-nolt attribute is NOT present
+    // This allows writing &lt;/script&gt; inside <script> without prematurely closing the tag
+    if (content && !element.hasAttribute("data-nolt")) {
+      content = unescapeHtmlEntities(content);
+    }
+  }
+
+  // Apply dedent logic unless data-notrim is present
+  // Removes common leading whitespace from all lines
+  if (content && !element.hasAttribute("data-notrim")) {
+    content = dedent(content);
+  }
+
+  return content;
+}
+
+/**
+ * Maps short language names to full Ace mode names
+ * @param {string|null} lang - Language e.g. "js", "python"
+ * @returns {string} Ace mode name e.g. "javascript"
+ */
+function resolveAceMode(lang) {
+  if (!lang) return "javascript";
+  if (lang === "js") return "javascript";
+  if (lang === "ts") return "typescript";
+  if (lang === "bash") return "sh";
+  return lang;
+}
+
 /**
  * Registers an ID and throws if it's a duplicate
  * @param {string} id - The ID to register
@@ -100,12 +370,34 @@ function registerEditorId(id) {
     throw new Error(
       `❌ Duplicate ace-editor ID detected: "${id}". ` +
         `Each ace-editor must have a unique ID. ` +
-        `Either remove the duplicate ID or let the component auto-generate unique IDs.`
+        `Either remove the duplicate ID, let the component auto-generate unique IDs ` +
+        `or set id-conflict="rename|warn|allow".`
     );
   }
   registeredIds.add(id);
 }
 
+/**
+ * Resolves duplicate ID policy of the element
+ * Priority: id-conflict attribute > data-main-ace-id-conflict > setIdConflictPolicy() > "error"
+ * @param {HTMLElement} element
+ * @returns {string} One of idConflictPolicies
+ */
+function getIdConflictPolicy(element) {
+  const policy =
+    element.getAttribute("id-conflict") || getLoaderAttribute("data-main-ace-id-conflict") || idConflictPolicy;
+
+  if (!policy) return "error";
+
+  if (!idConflictPolicies.includes(policy)) {
+    const expected = idConflictPolicies.join(", ");
+    console.error(`❌ ace-web-component.js: Unknown id-conflict policy "${policy}", expected one of: ${expected}`);
+    return "error";
+  }
+
+  return policy;
+}
+
 /**
  * Unregisters an ID when component is removed
  * @param {string} id - The ID to unregister
@@ -115,753 +407,4060 @@ function unregisterEditorId(id) {
 }
 
 /**
- * Loads Ace Editor scripts only once using singleton pattern
- * @returns {Promise<Object>} Promise that resolves with window.ace object
+ * Reads loader configuration attribute from the script tag that loaded this file or any element having it
+ * @param {string} name - Attribute name e.g. "data-main-ace"
+ * @returns {string|null}
  */
-async function loadAceEditor(aceEditorUrl) {
-  // Return cached promise if already loading/loaded
-  if (aceEditorPromise) {
-    return aceEditorPromise;
-  }
+function getLoaderAttribute(name) {
+  return currentScript?.getAttribute(name) || document.querySelector(`[${name}]`)?.getAttribute(name) || null;
+}
 
-  log("Loading Ace Editor for the first time...");
+/**
+ * Resolves loader settings
+ * Priority: data-main-ace-* attributes > setDataMainAce(url, loader) > defaults
+ * @returns {{fallback: string[], timeout: number, retries: number}}
+ */
+function getLoaderSettings() {
+  const fallbackAttr = getLoaderAttribute("data-main-ace-fallback");
+  const fallback = fallbackAttr !== null ? parseList(fallbackAttr) : [].concat(dataMainAceLoader.fallback || []);
+
+  const timeout = parseInt(getLoaderAttribute("data-main-ace-timeout") ?? dataMainAceLoader.timeout, 10);
+  const retries = parseInt(getLoaderAttribute("data-main-ace-retries") ?? dataMainAceLoader.retries, 10);
 
-  aceEditorPromise = new Promise((resolve, reject) => {
-    // Create script element for main Ace library
+  return {
+    fallback,
+    timeout: timeout > 0 ? timeout : DEFAULT_LOAD_TIMEOUT,
+    retries: retries >= 0 ? retries : DEFAULT_LOAD_RETRIES,
+  };
+}
+
+/**
+ * Creates load error carrying the failed URL and the reason (used for 'ace-load-error' event)
+ * @param {string} message
+ * @param {string} url
+ * @param {string} reason
+ * @returns {Error}
+ */
+function createLoadError(message, url, reason) {
+  const error = new Error(`${message} from ${url} (${reason})`);
+  error.url = url;
+  error.reason = reason;
+  return error;
+}
+
+/**
+ * Injects script tag and waits until it's executed and ready
+ * The attempt fails on network error or when the script is not ready within timeout.
+ * Tags failed with network error are removed so the next attempt starts clean, timed out ones stay:
+ * a script that started downloading runs even after its tag is removed (error.inFlight is set then,
+ * the URL is kept in inFlightScripts and lateScriptSubscribers are notified if it becomes ready later)
+ * @param {string} url - Script URL
+ * @param {number} timeout - Max time (ms) for loading and readiness
+ * @param {Function} [isReady] - Readiness check polled after load (e.g. window.ace available)
+ * @returns {Promise<void>}
+ */
+function loadScript(url, timeout, isReady = () => true) {
+  return new Promise((resolve, reject) => {
     const script = document.createElement("script");
-    script.src = aceEditorUrl;
+    script.src = url;
 
-    // Handle load success
-    script.onload = () => {
-      log("Ace Editor core script loaded successfully!");
+    let pollTimer = null;
+    let loaded = false;
+
+    const fail = (reason, inFlight = false) => {
+      clearTimeout(timeoutTimer);
+      clearTimeout(pollTimer);
+      script.onload = script.onerror = null;
+      if (!inFlight) {
+        script.remove();
+      }
+      const error = createLoadError("Failed to load script", url, reason);
+      error.inFlight = inFlight;
+      reject(error);
+    };
+
+    const timeoutTimer = setTimeout(() => {
+      fail(`timeout after ${timeout}ms`, true);
+      inFlightScripts.set(url, "loading");
+
+      // Executed already without becoming ready - nothing to wait for
+      if (loaded) return;
+
+      script.onload = () => {
+        script.onload = script.onerror = null;
+        if (!isReady()) return;
 
-      // Wait for window.ace to be available
-      const checkAce = () => {
-        if (window?.ace && typeof window?.ace?.edit === "function") {
-          resolve(window.ace);
+        log(`Timed out script ${url} finished loading after all`);
+        inFlightScripts.set(url, "ready");
+        lateScriptSubscribers.forEach((callback) => callback(url));
+      };
+
+      // Didn't run at all - safe to inject again
+      script.onerror = () => {
+        script.onload = script.onerror = null;
+        script.remove();
+        inFlightScripts.delete(url);
+      };
+    }, timeout);
+
+    script.onload = () => {
+      loaded = true;
+      const check = () => {
+        if (isReady()) {
+          clearTimeout(timeoutTimer);
+          resolve();
         } else {
-          setTimeout(checkAce, 150);
+          pollTimer = setTimeout(check, 150);
         }
       };
 
-      checkAce();
+      check();
     };
 
-    // Handle load error
-    script.onerror = () => {
-      console.error("❌ Failed to load Ace Editor");
-      reject(new Error("Failed to load Ace Editor"));
-    };
+    script.onerror = () => fail("network error");
 
-    // Append to head to trigger loading
     document.head.appendChild(script);
   });
+}
 
-  return aceEditorPromise;
+/**
+ * Subscribes to timed out scripts finishing after all (to retry a failed initialization)
+ * @param {Function} callback - Called with the script URL
+ * @returns {Function} Unsubscribe function
+ */
+function subscribeLateScripts(callback) {
+  lateScriptSubscribers.add(callback);
+
+  return () => {
+    lateScriptSubscribers.delete(callback);
+  };
 }
 
 /**
- * Web Component for Ace Editor
- *
- * @description
- * A custom web component that wraps the Ace Editor with a flexible, declarative API.
- *
- * @example
- * <!-- Basic usage -->
- * <ace-editor
- *   id="my-editor"
- *   lang="javascript"
- *   theme="monokai"
- *   value="console.log('Hello World');"
- * ></ace-editor>
- *
- * @example
- * <!-- Alternative content sources -->
- * <ace-editor>
- *   <script type="ace">
- *     function example() {
- *       return "Preserves original formatting";
- *     }
- *   </script>
- * </ace-editor>
- *
- * @typedef {Object} AceEditorOptions
- * @property {string} [value] - Initial content of the editor
- * @property {string} [lang='javascript'] - Programming language mode (e.g., 'javascript', 'python', 'typescript')
- * @property {string} [theme='idle_fingers'] - Editor color theme
- * @property {boolean} [readonly=false] - Make editor read-only
- * @property {number} [min-height-px] - Minimum height in pixels
- * @property {number} [min-height-lines] - Minimum height in lines
- *
- * Content Priority (from highest to lowest):
- * 1. value attribute - for React/dynamic updates (controlled component)
- * 2. <script type="ace"> - preserves formatting, Prettier-friendly
- * 3. textContent - direct text content (initial value only)
- * 4. content attribute - alternative to textContent
- *
- * HTML Entity Decoding:
- * By default, HTML entities like &lt; &gt; &amp; are decoded to < > & when reading
- * from static content (methods 2-4). This allows writing &lt;/script&gt; inside
- * <script type="ace"> without prematurely closing the tag.
- *
- * @see Use data-nolt attribute to disable HTML entity decoding
- * @note value attribute never decodes entities
+ * Loads script trying each URL in order, retrying every URL with exponential backoff
+ * A timed out URL is never injected again (it may still be running), not even by later calls - only
+ * the fallbacks are tried, each of them after checking whether the slow script became ready in the meantime
+ * @param {string[]} urls - Primary URL followed by fallbacks
+ * @param {Function} [isReady] - See loadScript()
+ * @returns {Promise<string>} URL the script was loaded from
  */
-export default class AceEditorComponent extends HTMLElement {
-  #isLoaded = false;
-  #pendingLoadListeners = [];
-  // Define observed attributes for React compatibility
-  static get observedAttributes() {
-    return ["value", "lang", "theme", "readonly", "min-height-px", "min-height-lines", "data-nolt"];
-  }
+async function loadScriptWithRetry(urls, isReady) {
+  const { timeout, retries } = getLoaderSettings();
 
-  // Track loading state and listeners for onLoad event
-  constructor() {
-    super();
-    this._loadListeners = [];
-  }
+  let lastError = null;
+  const finishedLate = () => urls.find((url) => inFlightScripts.get(url) === "ready");
 
-  _triggerLoadEvent() {
-    if (this.#isLoaded) return; // Prevent double firing
+  for (const url of urls) {
+    // Slow script finished meanwhile (or the page loaded it itself) - another copy would run it twice
+    if (isReady?.()) {
+      return finishedLate() ?? url;
+    }
 
-    this.#isLoaded = true;
+    const state = inFlightScripts.get(url);
+    if (state === "ready") {
+      return url;
+    }
+    if (state === "loading") {
+      lastError = createLoadError("Failed to load script", url, "earlier attempt timed out and may still be running");
+      lastError.inFlight = true;
+      continue;
+    }
 
-    // Dispatch custom 'onLoad' event
-    this.dispatchEvent(
-      new CustomEvent("onLoad", {
-        bubbles: true,
-        detail: {
-          component: this,
-          editor: this.editor,
-          id: this.id,
-        },
-      })
-    );
-    // 2. Trigger all pending listeners added before the load event
-    this.#pendingLoadListeners.forEach((listener) =>
-      listener({
-        component: this,
-        editor: this.editor,
-        id: this.id,
-      })
-    );
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      if (attempt > 0) {
+        const delay = RETRY_BASE_DELAY * 2 ** (attempt - 1);
+        log(`Retrying ${url} in ${delay}ms (attempt ${attempt + 1}/${retries + 1})`);
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
 
-    // Clear the pending listeners array
-    this.#pendingLoadListeners = [];
-  }
+      try {
+        await loadScript(url, timeout, isReady);
+        return url;
+      } catch (error) {
+        console.error(`❌ ace-web-component.js: ${error.message}`);
+        lastError = error;
 
-  // Override addEventListener to implement custom 'onLoad' behavior
-  addEventListener(type, listener, options) {
-    if (type === "onLoad") {
-      if (this.#isLoaded) {
-        listener({
-          component: this,
-          editor: this.editor,
-          id: this.id,
-        });
-      } else {
-        // If not loaded, store the listener to be called when it loads
-        this.#pendingLoadListeners.push(listener);
+        if (error.inFlight) {
+          break;
+        }
       }
-      return;
     }
+  }
 
-    // Always call the native addEventListener for standard behavior
-    super.addEventListener(type, listener, options);
+  const lateUrl = finishedLate();
+  if (lateUrl) {
+    return lateUrl;
   }
 
-  connectedCallback() {
-    const aceEditorUrl =
-      currentScript?.getAttribute("data-main-ace") ||
-      document.querySelector("[data-main-ace]")?.getAttribute("data-main-ace") ||
-      dataMainAce;
-
-    if (!aceEditorUrl) {
-      /**
-       * TODO:
-       * This is interesting case - might actually return when I would like to use it with react and bundler
-       * Because in such case I will not have separate script tag loading this file
-       * Probably it would work when we would set attribute [data-main-ace] on the script tag that loads the bundle
-       * But we cannot asume we will always have such luxury - some frameworks might make it difficult
-       *
-       * So in that case we would need to have alternative way to provide aceEditorUrl
-       */
-      console.error(
-        "❌ ace-web-component.js: Missing required data-main-ace attribute on script tag that loads this file. You can also use method setDataMainAce(url) to provide the URL programmatically." +
-          "Please provide the URL to the Ace Editor main script."
-      );
-      return;
-    }
+  throw lastError;
+}
 
-    this.aceUrl = aceEditorUrl;
+/**
+ * Dispatches 'ace-load-error' event for errors produced by the loader (other errors are ignored)
+ * @param {HTMLElement} element - Component which failed to initialize
+ * @param {Error} error
+ */
+function dispatchLoadError(element, error) {
+  if (!error?.url) return;
 
-    // Handle ID: auto-generate if missing, or validate if provided
-    if (this.id) {
-      // Validate that manually provided ID is not a duplicate
-      try {
-        registerEditorId(this.id);
-      } catch (error) {
-        // Show error in console and UI
-        console.error(error.message);
+  element.dispatchEvent(
+    new CustomEvent("ace-load-error", {
+      bubbles: true,
+      detail: { url: error.url, reason: error.reason, error },
+    })
+  );
+}
 
-        // Create error display in shadow DOM
-        const shadow = this.attachShadow({ mode: "open" });
-        shadow.innerHTML = `
-            <style>
-              :host {
-                display: block;
-                width: 100%;
-              }
-              .error-wrapper {
-                border: 2px solid #999;
-                background: #e0e0e0;
-                padding: 20px;
-                color: #333;
-              }
-              .error-title {
-                font-weight: bold;
-                font-size: 18px;
-                margin-bottom: 10px;
-              }
-              .error-message {
-                font-family: monospace;
-                font-size: 14px;
-              }
-            </style>
-            <div class="error-wrapper">
-              <div class="error-title">❌ Duplicate ID Error</div>
-              <div class="error-message">${error.message}</div>
-            </div>
-          `;
+/**
+ * Resolves ace namespace from setAceProvider() and runs the resolver
+ * @returns {Promise<Object>} ace namespace
+ */
+async function loadProvidedAce() {
+  const provided = typeof aceProvider === "function" ? await aceProvider() : aceProvider;
+  const ace = typeof provided?.edit === "function" ? provided : provided?.default;
 
-        // Throw error to prevent further initialization
-        throw error;
-      }
-    } else {
-      // Generate unique ID automatically
-      this.id = generateUniqueId();
-      log(`🆔 Auto-generated unique ID: ${this.id}`);
+  if (typeof ace?.edit !== "function") {
+    throw new Error("ace-web-component.js: setAceProvider() did not provide the ace namespace");
+  }
 
-      // Register auto-generated IDs (they won't be duplicates by design)
+  await aceResolver?.();
+
+  log("Ace Editor provided by setAceProvider()");
+
+  return ace;
+}
+
+/**
+ * Loads Ace Editor scripts only once using singleton pattern
+ * Falls back to data-main-ace-fallback URLs, failed load is evicted from cache so it can be retried later
+ * With setAceProvider() no script is injected, the provided namespace is used instead
+ * @returns {Promise<Object>} Promise that resolves with window.ace object
+ */
+async function loadAceEditor(aceEditorUrl) {
+  // Return cached promise if already loading/loaded
+  if (aceEditorPromise) {
+    return aceEditorPromise;
+  }
+
+  log("Loading Ace Editor for the first time...");
+
+  const promise = (async () => {
+    if (aceProvider) {
+      loadedAce = await loadProvidedAce();
+      applyAceConfig(loadedAce);
+      return loadedAce;
+    }
+
+    const urls = [...new Set([aceEditorUrl, ...getLoaderSettings().fallback])];
+
+    try {
+      loadedAceUrl = await loadScriptWithRetry(urls, () => typeof window?.ace?.edit === "function");
+    } catch (error) {
+      console.error("❌ Failed to load Ace Editor");
+      throw createLoadError("Failed to load Ace Editor", error.url, error.reason);
+    }
+
+    log(`Ace Editor core script loaded successfully from ${loadedAceUrl}`);
+
+    loadedAce = window.ace;
+    applyAceConfig(loadedAce);
+    return loadedAce;
+  })();
+
+  aceEditorPromise = promise;
+
+  evictFailedLoad(
+    promise,
+    () => aceEditorPromise,
+    () => {
+      aceEditorPromise = null;
+    }
+  );
+
+  return promise;
+}
+
+/**
+ * Evicts failed load from its cache so it can be retried later
+ * @param {Promise} promise - Cached load
+ * @param {Function} getCached - Returns the promise currently cached (a newer load must not be evicted)
+ * @param {Function} evict - Removes the promise from the cache
+ */
+function evictFailedLoad(promise, getCached, evict) {
+  promise.catch(() => {
+    if (getCached() === promise) {
+      evict();
+    }
+  });
+}
+
+/**
+ * Checks whether Ace can be loaded at all (setAceProvider() or ace.js URL)
+ * @returns {boolean}
+ */
+function hasAceSource() {
+  return Boolean(aceProvider || getAceEditorUrl());
+}
+
+/**
+ * Reports that Ace can't be loaded (see hasAceSource())
+ * With react and bundlers there is no separate script tag loading this file (document.currentScript is null for modules)
+ * so data-main-ace might be missing - such apps should use setDataMainAce(url) or setAceProvider()
+ * @returns {Error} Error describing the problem (e.g. to reject the ready promise)
+ */
+function reportMissingAceSource() {
+  console.error(
+    "❌ ace-web-component.js: Missing required data-main-ace attribute on script tag that loads this file. You can also use method setDataMainAce(url) to provide the URL programmatically. " +
+      'Please provide the URL to the Ace Editor main script or use setAceProvider(() => import("ace-builds")).'
+  );
+
+  return new Error("ace-web-component.js: Missing data-main-ace attribute, setDataMainAce(url) or setAceProvider()");
+}
+
+/**
+ * Resolves the URL of Ace main script (ace.js)
+ * Priority: data-main-ace on the script tag that loaded this file > any [data-main-ace] element > setDataMainAce(url)
+ * @returns {string|undefined} URL of ace.js
+ */
+function getAceEditorUrl() {
+  return getLoaderAttribute("data-main-ace") || dataMainAce;
+}
+
+/**
+ * Normalizes extension name to the file name used by ace-builds
+ * "language_tools" -> "ext-language_tools", "keybinding-vim" stays as is
+ * @param {string} name - Extension name
+ * @returns {string} File name without extension
+ */
+function normalizeExtensionName(name) {
+  name = String(name).trim().replace(/\.js$/, "");
+
+  if (/^(ext|keybinding)-/.test(name)) {
+    return name;
+  }
+
+  return `ext-${name}`;
+}
+
+// Debounce for the linter callback (ms after the last change)
+const LINT_DELAY = 300;
+
+/**
+ * Replaces session text with a single minimal edit - common prefix and suffix stay untouched
+ * Cursor, selection and folds move with the text (Ace anchors) instead of jumping to the start,
+ * the undo stack is kept and the edit becomes one undo group of its own
+ * @param {Object} session - Ace EditSession
+ * @param {string} value - New text
+ * @param {Function} Range - Ace Range class (ace/range)
+ */
+function applyMinimalDiff(session, value, Range) {
+  const doc = session.getDocument();
+  const current = doc.getValue();
+  // Document can't hold other line endings than its own anyway
+  const next = value.replace(/\r\n|\r|\n/g, doc.getNewLineCharacter());
+
+  if (current === next) return;
+
+  const maxLength = Math.min(current.length, next.length);
+
+  let prefix = 0;
+  while (prefix < maxLength && current[prefix] === next[prefix]) {
+    prefix++;
+  }
+
+  let suffix = 0;
+  while (suffix < maxLength - prefix && current[current.length - 1 - suffix] === next[next.length - 1 - suffix]) {
+    suffix++;
+  }
+
+  const range = Range.fromPoints(doc.indexToPosition(prefix), doc.indexToPosition(current.length - suffix));
+  const undoManager = session.getUndoManager();
+
+  // remove + insert deltas of replace() go to one fresh group, following user edits start another one
+  undoManager.startNewGroup();
+  session.mergeUndoDeltas = false;
+  session.replace(range, next.slice(prefix, next.length - suffix));
+  undoManager.startNewGroup();
+}
+
+// Debounce for persist="key" saves (ms after the last change)
+const PERSIST_DELAY = 500;
+
+// localStorage key prefix for persist="key"
+const PERSIST_PREFIX = "ace-web-component:";
+
+/**
+ * Serializes undo history (UndoManager.toJSON()) so it can be stored as JSON
+ * removeFolds deltas are dropped - they reference fold objects (circular), undo just won't bring those folds back
+ * @param {Object} undoManager - Ace UndoManager
+ * @returns {{$undoStack: Array, $redoStack: Array}}
+ */
+function serializeUndoHistory(undoManager) {
+  const { $undoStack = [], $redoStack = [] } = undoManager.toJSON();
+
+  const strip = (stack) =>
+    stack
+      .map((deltas) => {
+        const kept = deltas.filter((delta) => delta.action !== "removeFolds");
+        // Revision id lives on the first delta of the group
+        if (kept.length && kept[0].id === undefined) {
+          kept[0] = { ...kept[0], id: deltas[0].id };
+        }
+        return kept;
+      })
+      .filter((deltas) => deltas.length);
+
+  return { $undoStack: strip($undoStack), $redoStack: strip($redoStack) };
+}
+
+/**
+ * Restores undo history serialized with serializeUndoHistory()
+ * @param {Object} undoManager - Ace UndoManager
+ * @param {{$undoStack: Array, $redoStack: Array}} history
+ */
+function restoreUndoHistory(undoManager, history) {
+  undoManager.fromJSON(history);
+
+  // fromJSON() resets revision counters - continue after the restored ones so new edits don't reuse their ids
+  const ids = [...history.$undoStack, ...history.$redoStack].map((deltas) => deltas[0]?.id).filter(Number.isFinite);
+  undoManager.$maxRev = Math.max(0, ...ids);
+  undoManager.$rev = history.$undoStack[history.$undoStack.length - 1]?.[0]?.id || 0;
+}
+
+// Maps diagnostic severity to Ace annotation type
+const severityToAnnotationType = {
+  error: "error",
+  warning: "warning",
+  info: "info",
+  hint: "info",
+};
+
+// Toolbar actions: button label and tooltip
+const toolbarActions = {
+  copy: { label: "📋", title: "Copy to clipboard" },
+  download: { label: "💾", title: "Download" },
+  fullscreen: { label: "⛶", title: "Toggle fullscreen" },
+  wrap: { label: "↩", title: "Toggle line wrapping" },
+};
+
+/**
+ * Copies text to clipboard using async Clipboard API with execCommand fallback
+ * @param {string} text - Text to copy
+ * @returns {Promise<void>}
+ */
+async function copyToClipboard(text) {
+  try {
+    await navigator.clipboard.writeText(text);
+  } catch (e) {
+    // Clipboard API unavailable (insecure context, permissions) - use the old way
+    const textarea = document.createElement("textarea");
+    textarea.value = text;
+    textarea.style.position = "fixed";
+    textarea.style.opacity = "0";
+    document.body.appendChild(textarea);
+    textarea.select();
+    const copied = document.execCommand("copy");
+    textarea.remove();
+
+    if (!copied) {
+      throw new Error("Copying to clipboard is not supported");
+    }
+  }
+}
+
+/**
+ * Finds http(s) URL in the line at given column
+ * @param {string} line - Line of text
+ * @param {number} column - Column within the line
+ * @returns {{url: string, start: number, end: number}|undefined}
+ */
+function findUrlAtPosition(line, column) {
+  const regex = /https?:\/\/[^\s"'<>`]+/g;
+  const brackets = { ")": "(", "]": "[", "}": "{" };
+  const count = (text, char) => text.split(char).length - 1;
+  let match;
+
+  while ((match = regex.exec(line))) {
+    // Trailing punctuation usually belongs to the sentence (or code), not the URL
+    // closing bracket only when unbalanced - keeps https://en.wikipedia.org/wiki/Ace_(editor) intact
+    let url = match[0];
+    const isTrailing = (char) =>
+      /[.,;:!?]/.test(char) || (brackets[char] && count(url, char) > count(url, brackets[char]));
+    while (url && isTrailing(url[url.length - 1])) {
+      url = url.slice(0, -1);
+    }
+    const start = match.index;
+    const end = start + url.length;
+
+    if (column >= start && column <= end) {
+      return { url, start, end };
+    }
+  }
+}
+
+// Themes used by theme="auto" when theme-light/theme-dark are not given
+const DEFAULT_LIGHT_THEME = "textmate";
+const DEFAULT_DARK_THEME = "idle_fingers";
+
+// Editors following color scheme changes, notified by one shared matchMedia listener and one shared observer
+const colorSchemeSubscribers = new Set();
+let colorSchemeMediaQuery = null;
+let colorSchemeObserver = null;
+
+/**
+ * Current color scheme
+ * data-ace-theme="light|dark" on <html> overrides prefers-color-scheme (e.g. for a site theme toggle)
+ * @returns {"light"|"dark"}
+ */
+function getColorScheme() {
+  const override = document.documentElement.getAttribute("data-ace-theme");
+
+  if (override === "light" || override === "dark") {
+    return override;
+  }
+
+  return window.matchMedia?.("(prefers-color-scheme: dark)").matches ? "dark" : "light";
+}
+
+function notifyColorSchemeSubscribers() {
+  colorSchemeSubscribers.forEach((callback) => callback(getColorScheme()));
+}
+
+/**
+ * Subscribes to color scheme changes, listeners are created with the first subscriber and removed with the last one
+ * @param {Function} callback - Called with "light" or "dark"
+ * @returns {Function} Unsubscribe function
+ */
+function subscribeColorScheme(callback) {
+  colorSchemeSubscribers.add(callback);
+
+  if (!colorSchemeObserver) {
+    colorSchemeMediaQuery = window.matchMedia?.("(prefers-color-scheme: dark)") || null;
+    colorSchemeMediaQuery?.addEventListener("change", notifyColorSchemeSubscribers);
+
+    colorSchemeObserver = new MutationObserver(notifyColorSchemeSubscribers);
+    colorSchemeObserver.observe(document.documentElement, { attributes: true, attributeFilter: ["data-ace-theme"] });
+  }
+
+  return () => {
+    colorSchemeSubscribers.delete(callback);
+
+    if (!colorSchemeSubscribers.size && colorSchemeObserver) {
+      colorSchemeMediaQuery?.removeEventListener("change", notifyColorSchemeSubscribers);
+      colorSchemeMediaQuery = null;
+      colorSchemeObserver.disconnect();
+      colorSchemeObserver = null;
+    }
+  };
+}
+
+// Keyboard handlers shipped with ace-builds as keybinding-*.js
+const keybindings = ["vim", "emacs", "sublime", "vscode"];
+
+/**
+ * Splits comma/space separated attribute value into list of non-empty items
+ * @param {string|null} value - Attribute value e.g. "language_tools, searchbox"
+ * @returns {string[]}
+ */
+function parseList(value) {
+  return (value || "")
+    .split(/[\s,]+/)
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parses 1-based line ranges like "3-5,9" into sorted, merged [start, end] pairs
+ * @param {string|null} value - Attribute value e.g. "3-5, 9"
+ * @returns {Array<[number, number]>}
+ */
+function parseLineRanges(value) {
+  return parseList(value)
+    .map((item) => {
+      const [start, end = start] = item.split("-").map((line) => parseInt(line, 10));
+      return [start, end];
+    })
+    .filter(([start, end]) => start > 0 && end >= start)
+    .sort((a, b) => a[0] - b[0])
+    .reduce((merged, range) => {
+      const last = merged[merged.length - 1];
+      if (last && range[0] <= last[1] + 1) {
+        last[1] = Math.max(last[1], range[1]);
+      } else {
+        merged.push(range);
+      }
+      return merged;
+    }, []);
+}
+
+/**
+ * Loads Ace extension script (ext-*.js or keybinding-*.js) only once
+ * The URL is resolved relative to ace.js, respecting .min.js naming used by CDNs
+ * @param {string} name - Extension name e.g. "language_tools", "ext-searchbox", "keybinding-vim"
+ * @param {string} aceEditorUrl - URL of ace.js
+ * @returns {Promise<Object|undefined>} Promise that resolves with the extension module (if it exposes one)
+ */
+async function loadAceExtension(name, aceEditorUrl) {
+  const file = normalizeExtensionName(name);
+
+  // Return cached promise if already loading/loaded
+  if (aceExtensionPromises.has(file)) {
+    return aceExtensionPromises.get(file);
+  }
+
+  const promise = (async () => {
+    const ace = await loadAceEditor(aceEditorUrl);
+
+    // ext-searchbox -> ace/ext/searchbox, keybinding-vim -> ace/keyboard/vim
+    const moduleId = file.startsWith("keybinding-")
+      ? `ace/keyboard/${file.slice("keybinding-".length)}`
+      : `ace/ext/${file.slice("ext-".length)}`;
+
+    // Bundled Ace resolves the module through the resolver passed to setAceProvider()
+    if (aceProvider) {
+      return loadAceModule(ace, moduleId);
+    }
+
+    // Resolve relative to basePath, which defaults to the ace.js that was actually loaded (could be a fallback)
+    const mainUrl = new URL(loadedAceUrl || aceEditorUrl, document.baseURI);
+    const suffix = /\.min\.js$/.test(mainUrl.pathname) ? ".min.js" : ".js";
+    const basePath = ace.config.get("basePath");
+    const baseUrl = new URL(basePath ? basePath.replace(/\/?$/, "/") : ".", mainUrl);
+    const url = new URL(`${file}${suffix}`, baseUrl).href;
+
+    log(`Loading Ace extension "${file}" from ${url}`);
+
+    try {
+      await loadScriptWithRetry([url]);
+    } catch (error) {
+      throw createLoadError(`Failed to load Ace extension "${file}" - make sure the file exists`, url, error.reason);
+    }
+
+    try {
+      return ace.require(moduleId);
+    } catch (e) {
+      return undefined;
+    }
+  })();
+
+  aceExtensionPromises.set(file, promise);
+
+  evictFailedLoad(
+    promise,
+    () => aceExtensionPromises.get(file),
+    () => aceExtensionPromises.delete(file)
+  );
+
+  return promise;
+}
+
+/**
+ * Loads Ace module through ace.config.loadModule() (module loaders registered by esm/webpack resolver)
+ * Ace doesn't report failures there, so the load is limited by the loader timeout
+ * @param {Object} ace - ace namespace
+ * @param {string} moduleId - e.g. "ace/ext/language_tools"
+ * @returns {Promise<Object>} The module
+ */
+function loadAceModule(ace, moduleId) {
+  const { timeout } = getLoaderSettings();
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(
+      () => reject(createLoadError("Failed to load Ace module", moduleId, `timeout after ${timeout}ms`)),
+      timeout
+    );
+
+    ace.config.loadModule(moduleId, (module) => {
+      clearTimeout(timer);
+      resolve(module);
+    });
+  });
+}
+
+// Registry of Ace styles shared by all shadow roots:
+// each Ace <style> (dom.importCssString output in document.head) is turned into one CSSStyleSheet
+// and adopted by every live editor, a single observer on document.head pushes newly injected styles
+const aceStyleSheets = new Map(); // css text -> CSSStyleSheet
+const aceStyleElements = new WeakSet(); // <style> elements already registered
+const aceStyleRoots = new Map(); // shadow root -> callback fired after new styles were adopted
+const aceStyleRootObservers = new Map(); // shadow root -> observer of Ace styles injected into the root itself
+let aceStyleObserver = null;
+
+const supportsAdoptedStyleSheets =
+  typeof ShadowRoot !== "undefined" &&
+  "adoptedStyleSheets" in ShadowRoot.prototype &&
+  typeof CSSStyleSheet !== "undefined" &&
+  typeof CSSStyleSheet.prototype.replaceSync === "function";
+
+/**
+ * Checks whether node is a <style> injected by Ace
+ * @param {Node} node
+ * @returns {boolean}
+ */
+function isAceStyle(node) {
+  if (node.tagName !== "STYLE") return false;
+  const content = node.textContent || "";
+  return content.includes(".ace_") || content.includes("ace-");
+}
+
+/**
+ * Registers Ace <style> element, creating its shared CSSStyleSheet once
+ * @param {HTMLStyleElement} style
+ * @returns {boolean} true if the style wasn't known yet
+ */
+function registerAceStyle(style) {
+  if (aceStyleElements.has(style)) return false;
+  aceStyleElements.add(style);
+
+  const css = style.textContent;
+  if (aceStyleSheets.has(css)) return false;
+
+  let sheet = null;
+  if (supportsAdoptedStyleSheets) {
+    try {
+      sheet = new CSSStyleSheet();
+      sheet.replaceSync(css);
+    } catch (e) {
+      log("Could not create stylesheet:", e);
+      return false;
+    }
+  }
+
+  // Without adoptedStyleSheets support only the css text is kept (copied into <style> per root)
+  aceStyleSheets.set(css, sheet);
+  return true;
+}
+
+/**
+ * Applies all registered Ace styles to the shadow root
+ * @param {ShadowRoot} shadow
+ */
+function applyAceStyles(shadow) {
+  if (supportsAdoptedStyleSheets) {
+    const shared = Array.from(aceStyleSheets.values());
+    const own = shadow.adoptedStyleSheets.filter((sheet) => !shared.includes(sheet));
+    shadow.adoptedStyleSheets = [...own, ...shared];
+    return;
+  }
+
+  // Fallback: copy styles manually, each css only once per root
+  const copied = new Set(Array.from(shadow.querySelectorAll("style[data-ace-style]"), (style) => style.textContent));
+  aceStyleSheets.forEach((sheet, css) => {
+    if (!copied.has(css)) {
+      const style = document.createElement("style");
+      style.setAttribute("data-ace-style", "");
+      style.textContent = css;
+      shadow.appendChild(style);
+    }
+  });
+}
+
+/**
+ * Ace <style id> elements injected into the shadow root itself
+ * VirtualRenderer.setTheme() passes the editor container to dom.importCssString(), so theme css lands in its root node
+ * Only collected with adoptedStyleSheets support - otherwise these per root copies are the only way to get the css in
+ * @param {ShadowRoot} shadow
+ * @returns {HTMLStyleElement[]}
+ */
+function getShadowAceStyles(shadow) {
+  if (!supportsAdoptedStyleSheets) return [];
+  return Array.from(shadow.querySelectorAll("style[id]")).filter(isAceStyle);
+}
+
+/**
+ * Scans document.head (or the shadow root) for Ace styles and pushes new ones to all registered roots
+ * @param {ShadowRoot} [shadow] - Root Ace injected styles into, document.head when omitted
+ */
+function syncAceStyles(shadow) {
+  const styles = shadow
+    ? getShadowAceStyles(shadow)
+    : Array.from(document.head.querySelectorAll("style")).filter(isAceStyle);
+  const added = styles.map(registerAceStyle).some(Boolean);
+
+  // Served from the shared sheet from now on - the emptied element stays, so Ace's hasCssString() won't inject it again
+  if (shadow) {
+    styles.forEach((style) => {
+      style.textContent = "";
+    });
+  }
+
+  if (added) {
+    aceStyleRoots.forEach((callback, shadow) => {
+      applyAceStyles(shadow);
+      callback?.();
+    });
+  }
+}
+
+/**
+ * Shares Ace styles with shadow root and keeps it updated while registered
+ * The global observer is created with the first root and disconnected with the last one
+ * @param {ShadowRoot} shadow - Shadow root hosting Ace editor(s)
+ * @param {Function} [callback] - Called after newly injected styles were adopted (e.g. to recalculate size)
+ * @returns {Function} Unregister function
+ */
+function registerAceStyleRoot(shadow, callback) {
+  aceStyleRoots.set(shadow, callback);
+
+  Array.from(document.head.querySelectorAll("style")).filter(isAceStyle).forEach(registerAceStyle);
+  applyAceStyles(shadow);
+  syncAceStyles(shadow);
+
+  if (supportsAdoptedStyleSheets) {
+    const rootObserver = new MutationObserver((mutations) => {
+      const aceStyleAdded = mutations.some((mutation) => Array.from(mutation.addedNodes).some(isAceStyle));
+      if (aceStyleAdded) {
+        syncAceStyles(shadow);
+      }
+    });
+    rootObserver.observe(shadow, { childList: true, subtree: true });
+    aceStyleRootObservers.set(shadow, rootObserver);
+  }
+
+  if (!aceStyleObserver) {
+    aceStyleObserver = new MutationObserver((mutations) => {
+      const aceStyleAdded = mutations.some((mutation) => Array.from(mutation.addedNodes).some(isAceStyle));
+      if (aceStyleAdded) {
+        syncAceStyles();
+      }
+    });
+    aceStyleObserver.observe(document.head, { childList: true });
+  }
+
+  return () => {
+    aceStyleRoots.delete(shadow);
+    aceStyleRootObservers.get(shadow)?.disconnect();
+    aceStyleRootObservers.delete(shadow);
+
+    if (!aceStyleRoots.size && aceStyleObserver) {
+      aceStyleObserver.disconnect();
+      aceStyleObserver = null;
+    }
+  };
+}
+
+/**
+ * Resolves Ace config
+ * Priority: data-ace-* attributes > setAceConfig() > directory of the loaded ace.js
+ * Ace would otherwise guess its base path from script tags, which fails for query strings (?delay=)
+ * or CDN urls set through setDataMainAce(). Paths not given fall back to basePath (the same way Ace does it).
+ * @returns {Object} Config for ace.config.set()
+ */
+function getAceConfig() {
+  const config = { ...aceConfig };
+
+  Object.entries(aceConfigAttributes).forEach(([key, attribute]) => {
+    const value = getLoaderAttribute(attribute);
+    if (value !== null) {
+      config[key] = value;
+    }
+  });
+
+  // Bundled Ace (setAceProvider()) has no ace.js URL - its resolver takes care of modules
+  if (!config.basePath && loadedAceUrl) {
+    config.basePath = new URL(".", new URL(loadedAceUrl, document.baseURI)).href;
+  }
+
+  if (config.basePath) {
+    config.modePath ??= config.basePath;
+    config.themePath ??= config.basePath;
+    config.workerPath ??= config.basePath;
+  }
+
+  return config;
+}
+
+/**
+ * Applies resolved config to Ace, invalid keys are reported and skipped
+ * @param {Object} ace - ace namespace
+ */
+function applyAceConfig(ace) {
+  const config = getAceConfig();
+
+  log("Applying Ace config:", config);
+
+  Object.entries(config).forEach(([key, value]) => {
+    try {
+      ace.config.set(key, value);
+    } catch (e) {
+      console.error(`❌ ace-web-component.js: Invalid Ace config "${key}":`, e);
+    }
+  });
+}
+
+/**
+ * Web Component for Ace Editor
+ *
+ * @description
+ * A custom web component that wraps the Ace Editor with a flexible, declarative API.
+ *
+ * @example
+ * <!-- Basic usage -->
+ * <ace-editor
+ *   id="my-editor"
+ *   lang="javascript"
+ *   theme="monokai"
+ *   value="console.log('Hello World');"
+ * ></ace-editor>
+ *
+ * @example
+ * <!-- Alternative content sources -->
+ * <ace-editor>
+ *   <script type="ace">
+ *     function example() {
+ *       return "Preserves original formatting";
+ *     }
+ *   </script>
+ * </ace-editor>
+ *
+ * @typedef {Object} AceEditorOptions
+ * @property {string} [value] - Initial content of the editor
+ * @property {string} [lang='javascript'] - Programming language mode (e.g., 'javascript', 'python', 'typescript')
+ * @property {string} [theme='idle_fingers'] - Editor color theme, "auto" follows the color scheme
+ * @property {string} [theme-light='textmate'] - Theme used for light color scheme (implies theme="auto" when theme is not set)
+ * @property {string} [theme-dark='idle_fingers'] - Theme used for dark color scheme (implies theme="auto" when theme is not set)
+ * @property {boolean} [readonly=false] - Make editor read-only
+ * @property {number} [min-height-px] - Minimum height in pixels
+ * @property {number} [min-height-lines] - Minimum height in lines
+ * @property {number} [tab-size=4] - Tab size (Ace option tabSize)
+ * @property {boolean|number|string} [wrap=true] - Wrap mode: wrap="off", wrap="80", wrap="free" (Ace option wrap)
+ * @property {number|string} [font-size] - Font size, e.g. 14 or "14px" (Ace option fontSize)
+ * @property {boolean} [show-gutter] - Show line numbers gutter, show-gutter="false" hides it (Ace option showGutter)
+ * @property {boolean} [show-print-margin] - Show print margin (Ace option showPrintMargin)
+ * @property {boolean} [soft-tabs] - Insert spaces instead of tabs (Ace option useSoftTabs)
+ * @property {string|Object} [options] - JSON object passed as is to editor.setOptions()
+ * @property {string} [extensions] - Comma separated Ace extensions to load before init e.g. "language_tools,searchbox"
+ * @property {string} [keybinding] - Keyboard handler: "vim", "emacs", "sublime" or "vscode" (loaded lazily)
+ * @property {string} [autocomplete] - Comma separated completion modes: "basic" (Ctrl-Space), "live", "snippets"
+ * @property {boolean} [validate=false] - Enable syntax validation through Ace workers (json, javascript, css, html, ...)
+ * @property {string} [loading='eager'] - "lazy" defers initialization until the element is near the viewport
+ * @property {string} [root-margin='200px'] - How close to the viewport a lazy editor starts initializing
+ * @property {string} [toolbar] - Comma separated toolbar actions: "copy", "download", "fullscreen", "wrap"
+ * @property {string} [filename] - File name used by the download action (default: "<id>.txt")
+ * @property {boolean} [links=false] - Ctrl/Cmd + click opens http(s) URLs found in the code (fires cancelable 'linkclick')
+ * @property {string} [name] - Name under which the value is submitted with a parent <form>
+ * @property {boolean} [required=false] - Marks the editor invalid (valueMissing) while it is empty
+ * @property {boolean} [disabled=false] - Excludes the editor from form submission and makes it read-only
+ * @property {string} [highlight-lines] - 1-based lines to highlight e.g. "3-5,9" (--ace-editor-highlight-color)
+ * @property {string} [focus-lines] - 1-based lines to focus e.g. "10-20", the rest is dimmed (--ace-editor-dim-color)
+ * @property {boolean} [focus-fold=false] - Fold the lines outside focus-lines
+ * @property {string} [id-conflict='error'] - Duplicate id handling: "error" (error box), "warn", "rename" or "allow"
+ *   (fires 'ace-id-conflict', page-wide default: data-main-ace-id-conflict or setIdConflictPolicy())
+ * @property {boolean} [keep-alive=false] - Don't tear down when removed from the document (call destroy() when done)
+ *   Without it a move (removal + insertion in the same task) keeps the editor too, only real removals clean up
+ * @property {string} [persist] - localStorage key: value, cursor, selection, scroll, folds and undo history
+ *   are saved on changes and restored on load (restored state wins over the initial content, fires 'restored')
+ *
+ * Content Priority (from highest to lowest):
+ * 1. value attribute - for React/dynamic updates (controlled component)
+ * 2. <script type="ace"> - preserves formatting, Prettier-friendly
+ * 3. textContent - direct text content (initial value only)
+ * 4. content attribute - alternative to textContent
+ *
+ * HTML Entity Decoding:
+ * By default, HTML entities like &lt; &gt; &amp; are decoded to < > & when reading
+ * from static content (methods 2-4). This allows writing &lt;/script&gt; inside
+ * <script type="ace"> without prematurely closing the tag.
+ *
+ * Ace Options:
+ * Dedicated attributes (tab-size, wrap, font-size, ...) take precedence over the same keys in options.
+ * All of them are observed, so changing them after load reconfigures the live editor.
+ *
+ * Automatic Theme:
+ * theme="auto" (or theme-light/theme-dark) follows prefers-color-scheme.
+ * data-ace-theme="light|dark" on <html> overrides it for all editors at once (e.g. site theme toggle).
+ *
+ * Toolbar:
+ * Actions fire cancelable 'ace-copy' and 'ace-download' events (detail: { text, filename }) before they run,
+ * host pages can call preventDefault() to handle them on their own.
+ *
+ * Events (bubbling CustomEvents, detail always contains id):
+ * - ace-ready: { editor, component } - editor is fully loaded (see also ready/whenReady() promise)
+ *   'onLoad' is its deprecated alias
+ * - input: plain Event, only for user edits (like <textarea>)
+ * - ace-change: { delta, isUserInput } - every document change with Ace's delta
+ * - ace-selectionchange: { range, isEmpty }
+ * - ace-cursorchange: { row, column }
+ * - ace-scroll: { scrollTop, scrollLeft }
+ * - ace-resize: { width, height }
+ * - focus/blur: native FocusEvents of Ace's textarea are composed, so they reach the host retargeted
+ *   (event.target is the <ace-editor>) - no extra dispatch needed
+ *
+ * Loading Ace:
+ * Each URL (data-main-ace, then data-main-ace-fallback list) is retried data-main-ace-retries times (default 2)
+ * with exponential backoff, every attempt is limited by data-main-ace-timeout (ms, default 15000).
+ * When all of them fail, 'ace-load-error' (detail: { url, reason, error }) is fired and the failed load
+ * is forgotten, so editors created later try again. A timed out URL is never injected twice (it may still run),
+ * when it finishes after all, editors that failed meanwhile initialize again.
+ * Modes, themes, workers and extensions are loaded from the directory of ace.js unless configured with
+ * data-ace-base-path, data-ace-mode-path, data-ace-theme-path, data-ace-worker-path or setAceConfig().
+ *
+ * Lazy Loading:
+ * With loading="lazy" neither Ace nor the editor is loaded until the element approaches the viewport
+ * (IntersectionObserver with root-margin). Meanwhile a pre-sized plain text placeholder is shown.
+ * Reading/writing value or calling getEditor() initializes a lazy editor immediately.
+ *
+ * Form Association:
+ * The element is form-associated (ElementInternals), so inside a <form> it behaves like a <textarea>:
+ * its value is submitted under the name attribute, form.reset() restores the initial content,
+ * required/disabled are honoured and validity is reported through checkValidity()/reportValidity().
+ * With validate attribute, syntax errors reported by the worker make the editor invalid too.
+ *
+ * Styling:
+ * Parts: ::part(wrapper), ::part(loading), ::part(container), ::part(error), ::part(toolbar)
+ * Custom properties: --ace-editor-font-family, --ace-editor-font-size, --ace-editor-border, --ace-editor-radius
+ * (font-size attribute/option takes precedence over --ace-editor-font-size)
+ *
+ * @see Use data-nolt attribute to disable HTML entity decoding
+ * @note value attribute never decodes entities
+ */
+export default class AceEditorComponent extends HTMLElement {
+  #isLoaded = false;
+  #pendingLoadListeners = [];
+  // Written through the value property before the editor exists - wins over value attribute, <script> and text
+  #propertyValue = null;
+  #internals = null;
+  #formDisabled = false;
+  #options = null;
+  #appliedOptionKeys = new Set();
+  #vimMode = null;
+  #completers = [];
+  #diagnostics = new Map();
+  #workerAnnotations = [];
+  #diagnosticMarkers = [];
+  // Diagnostic -> Range anchored to the document, so underlines follow edits until the next lint
+  #diagnosticRanges = new Map();
+  #renderingDiagnostics = false;
+  #persistTimer = null;
+  #persistOnPageHide = () => this.#persist();
+  #linter = null;
+  #lintTimer = null;
+  #lintRun = 0;
+  #initialize = null;
+  #lazyObserver = null;
+  #linkMarker = null;
+  #lineMarkers = [];
+  #lineFolds = [];
+  #unsubscribeColorScheme = null;
+  #ready = null;
+  #resolveReady = null;
+  #rejectReady = null;
+  #alive = false;
+  #teardownPending = false;
+  #registeredId = null;
+  #onFullscreenChange = null;
+  #unsubscribeLateScripts = null;
+  // Define observed attributes for React compatibility
+  static get observedAttributes() {
+    return [
+      "value",
+      "lang",
+      "theme",
+      "readonly",
+      "min-height-px",
+      "min-height-lines",
+      "data-nolt",
+      "name",
+      "required",
+      "options",
+      "extensions",
+      "keybinding",
+      "autocomplete",
+      "validate",
+      "loading",
+      "toolbar",
+      "links",
+      "theme-light",
+      "theme-dark",
+      "highlight-lines",
+      "focus-lines",
+      "focus-fold",
+      ...Object.keys(optionAttributes),
+    ];
+  }
+
+  // Let the element participate in <form> submission, reset and validation
+  static get formAssociated() {
+    return true;
+  }
+
+  // Track loading state and listeners for onLoad event
+  constructor() {
+    super();
+    this._loadListeners = [];
+    this.#internals = typeof this.attachInternals === "function" ? this.attachInternals() : null;
+
+    this.#resetReady();
+  }
+
+  /**
+   * Creates a fresh (pending) ready promise for the next editor instance
+   * @private
+   */
+  #resetReady() {
+    this.#isLoaded = false;
+    this.#ready = new Promise((resolve, reject) => {
+      this.#resolveReady = resolve;
+      this.#rejectReady = reject;
+    });
+    // Rejection is reported through console/ace-load-error as well - don't make it an unhandled one
+    this.#ready.catch(() => {});
+  }
+
+  /**
+   * Promise resolved with { editor, component } once the editor is fully loaded
+   *
+   * @type {Promise<{editor: Object, component: AceEditorComponent}>}
+   * @description
+   * Rejects when Ace or the editor fails to load (missing data-main-ace, duplicate id, network errors, ...)
+   * Already settled promise is returned to late callers, so there is no race with the 'ace-ready' event.
+   *
+   * @example
+   * const { editor } = await acecomp.ready;
+   */
+  get ready() {
+    return this.#ready;
+  }
+
+  /**
+   * Same as the ready property
+   * @returns {Promise<{editor: Object, component: AceEditorComponent}>}
+   */
+  whenReady() {
+    return this.#ready;
+  }
+
+  /**
+   * Rejects the ready promise (no-op once it's settled)
+   * @private
+   * @param {Error} error
+   */
+  #failReady(error) {
+    if (this.#isLoaded) return;
+
+    this.#rejectReady(error);
+  }
+
+  _triggerLoadEvent() {
+    if (this.#isLoaded) return; // Prevent double firing
+
+    this.#isLoaded = true;
+
+    this.#resolveReady({ editor: this.editor, component: this });
+
+    this.dispatchEvent(
+      new CustomEvent("ace-ready", {
+        bubbles: true,
+        detail: {
+          component: this,
+          editor: this.editor,
+          id: this.id,
+        },
+      })
+    );
+
+    // Dispatch custom 'onLoad' event (deprecated alias of 'ace-ready')
+    this.dispatchEvent(
+      new CustomEvent("onLoad", {
+        bubbles: true,
+        detail: {
+          component: this,
+          editor: this.editor,
+          id: this.id,
+        },
+      })
+    );
+    // 2. Trigger all pending listeners added before the load event
+    this.#pendingLoadListeners.forEach((listener) =>
+      listener({
+        component: this,
+        editor: this.editor,
+        id: this.id,
+      })
+    );
+
+    // Clear the pending listeners array
+    this.#pendingLoadListeners = [];
+  }
+
+  // Override addEventListener to implement custom 'onLoad' behavior
+  // @deprecated 'onLoad' listeners can't be removed and ignore options - use ready/whenReady() or 'ace-ready'
+  addEventListener(type, listener, options) {
+    if (type === "onLoad") {
+      if (!onLoadDeprecationWarned) {
+        onLoadDeprecationWarned = true;
+        console.warn(
+          "⚠️ ace-web-component.js: addEventListener('onLoad') is deprecated, use 'await element.ready' or the 'ace-ready' event"
+        );
+      }
+
+      if (this.#isLoaded) {
+        listener({
+          component: this,
+          editor: this.editor,
+          id: this.id,
+        });
+      } else {
+        // If not loaded, store the listener to be called when it loads
+        this.#pendingLoadListeners.push(listener);
+      }
+      return;
+    }
+
+    // Always call the native addEventListener for standard behavior
+    super.addEventListener(type, listener, options);
+  }
+
+  /**
+   * Loads Ace extension script (ext-*.js or keybinding-*.js) next to ace.js
+   *
+   * @param {string} name - Extension name e.g. "language_tools", "searchbox", "keybinding-vim"
+   * @returns {Promise<Object|undefined>} Resolves with the extension module, rejects if the file is missing
+   * @description
+   * Each extension is loaded only once, concurrent calls share the same promise.
+   *
+   * @example
+   * await AceEditorComponent.loadExtension("language_tools");
+   */
+  static loadExtension(name) {
+    if (!hasAceSource()) {
+      return Promise.reject(
+        new Error(
+          "ace-web-component.js: Cannot load Ace extension - missing data-main-ace attribute, setDataMainAce(url) or setAceProvider()"
+        )
+      );
+    }
+
+    return loadAceExtension(name, getAceEditorUrl());
+  }
+
+  /**
+   * Loads extensions listed in the extensions attribute
+   * Failures are logged but don't prevent the editor from working
+   * @private
+   * @returns {Promise<void>}
+   */
+  async #loadExtensions() {
+    const results = await Promise.allSettled(
+      parseList(this.getAttribute("extensions")).map((name) => AceEditorComponent.loadExtension(name))
+    );
+
+    results.forEach((result) => {
+      if (result.status === "rejected") {
+        console.error(`❌ ace-web-component.js [${this.id}]:`, result.reason);
+      }
+    });
+  }
+
+  connectedCallback() {
+    // Moved to a new location (sortable lists, portals) or keep-alive editor inserted again:
+    // keep the running Ace instance, session, undo history and ID
+    if (this.#alive) {
+      this.#teardownPending = false;
+      this.editor?.resize(true);
+      this._heightUpdateFunction?.();
+      log(`🔁 Ace Editor [${this.id}] reconnected, keeping the running instance`);
+      return;
+    }
+
+    const aceEditorUrl = getAceEditorUrl();
+
+    if (!hasAceSource()) {
+      this.#failReady(reportMissingAceSource());
+      return;
+    }
+
+    this.aceUrl = aceEditorUrl;
+
+    // Handle ID: auto-generate if missing, or validate if provided
+    if (this.id) {
+      // Validate that manually provided ID is not a duplicate
+      try {
+        registerEditorId(this.id);
+        this.#registeredId = this.id;
+      } catch (error) {
+        if (!this.#resolveIdConflict(error)) return;
+      }
+    } else {
+      // Generate unique ID automatically
+      this.id = generateUniqueId();
+      log(`🆔 Auto-generated unique ID: ${this.id}`);
+
+      // Register auto-generated IDs (they won't be duplicates by design)
       registerEditorId(this.id);
+      this.#registeredId = this.id;
+    }
+
+    // Shadow root survives destroy() - reuse it when the element is connected again
+    const shadow = this.shadowRoot || this.attachShadow({ mode: "open" });
+
+    // Create structure immediately with loading state
+    shadow.innerHTML = `
+        <style>
+          :host {
+            display: block;
+            width: 100%;
+          }
+          :host(:fullscreen) {
+            background: #fff;
+          }
+          .ace-wrapper {
+            // height: 22px;
+            position: relative;
+            border: var(--ace-editor-border, 1px solid #999);
+            border-radius: var(--ace-editor-radius, 0);
+            display: flex;
+            flex-direction: column;
+            align-items: center;
+            justify-content: center;
+            // min-height: 200px;
+          }
+          .ace-wrapper.loaded {
+            background: transparent;
+            border: var(--ace-editor-border, none);
+          }
+          .loading-message {
+            font-weight: bold;
+            color: #666;
+            font-size: 14px;
+            margin: 0;
+          }
+          .ace-container {
+            position: relative;
+            width: 100%;
+            border-radius: inherit;
+          }
+          /* Styling hooks - the font-size attribute/option still wins (Ace sets it inline) */
+          .ace-container .ace_editor {
+            font-family: var(--ace-editor-font-family, Monaco, Menlo, "Ubuntu Mono", Consolas, "Source Code Pro", source-code-pro, monospace);
+            font-size: var(--ace-editor-font-size, 12px);
+            border-radius: inherit;
+          }
+          /* Hide horizontal scrollbar since we use wrap mode (unless wrap is turned off) */
+          .ace-container:not(.nowrap) .ace_scrollbar-h {
+            display: none !important;
+          }
+          .vim-mode {
+            align-self: flex-end;
+            font-family: monospace;
+            font-size: 11px;
+            font-weight: bold;
+            padding: 1px 6px;
+            background: #333;
+            color: #fff;
+          }
+          .vim-mode[hidden] {
+            display: none;
+          }
+          /* highlight-lines and focus-lines (dims the other lines, front marker) */
+          .ace-highlighted-line {
+            position: absolute;
+            background: var(--ace-editor-highlight-color, rgba(255, 213, 0, 0.25));
+          }
+          .ace-dimmed-line {
+            position: absolute;
+            background: var(--ace-editor-dim-color, rgba(255, 255, 255, 0.6));
+          }
+          .ace_dark .ace-dimmed-line {
+            background: var(--ace-editor-dim-color, rgba(0, 0, 0, 0.5));
+          }
+          /* URL under the pointer while Ctrl/Cmd is pressed (links attribute) */
+          .ace-link {
+            position: absolute;
+            border-bottom: 1px solid currentColor;
+          }
+          /* Squiggly underline for setDiagnostics() ranges */
+          .ace-diagnostic {
+            position: absolute;
+            --ace-diagnostic-color: #e51400;
+            background-image: linear-gradient(45deg, transparent 65%, var(--ace-diagnostic-color) 80%, transparent 90%),
+              linear-gradient(135deg, transparent 5%, var(--ace-diagnostic-color) 15%, transparent 25%),
+              linear-gradient(135deg, transparent 45%, var(--ace-diagnostic-color) 55%, transparent 65%),
+              linear-gradient(45deg, transparent 35%, var(--ace-diagnostic-color) 45%, transparent 55%);
+            background-size: 6px 3px;
+            background-repeat: repeat-x;
+            background-position: left bottom;
+          }
+          .ace-diagnostic-warning {
+            --ace-diagnostic-color: #bf8803;
+          }
+          .ace-diagnostic-info {
+            --ace-diagnostic-color: #1a85ff;
+          }
+          .diagnostic-tooltip {
+            position: fixed;
+            z-index: 10;
+            max-width: 500px;
+            padding: 4px 8px;
+            font-family: monospace;
+            font-size: 12px;
+            white-space: pre-wrap;
+            background: #f8f8f8;
+            color: #333;
+            border: 1px solid #999;
+            pointer-events: none;
+          }
+          .diagnostic-tooltip[hidden] {
+            display: none;
+          }
+          .ace-toolbar {
+            position: absolute;
+            top: 2px;
+            right: 2px;
+            z-index: 10;
+            display: flex;
+            gap: 2px;
+            opacity: 0.4;
+            transition: opacity 0.2s;
+          }
+          .ace-toolbar:hover,
+          .ace-toolbar:focus-within {
+            opacity: 1;
+          }
+          .ace-toolbar[hidden] {
+            display: none;
+          }
+          .ace-toolbar button {
+            padding: 0 4px;
+            font-size: 14px;
+            line-height: 20px;
+            cursor: pointer;
+            background: #fff;
+            border: 1px solid #999;
+            border-radius: 3px;
+          }
+          /* Approximates Ace default metrics (12px font, 16px lines) so the editor doesn't shift the layout */
+          .lazy-placeholder {
+            align-self: stretch;
+            margin: 0;
+            padding: 0 4px;
+            font-family: var(--ace-editor-font-family, Monaco, Menlo, "Ubuntu Mono", Consolas, "Source Code Pro", source-code-pro, monospace);
+            font-size: var(--ace-editor-font-size, 12px);
+            line-height: 16px;
+            white-space: pre-wrap;
+            overflow-wrap: anywhere;
+          }
+        </style>
+        <div class="ace-wrapper" part="wrapper">
+          <p class="loading-message" part="loading">Loading Ace Editor...</p>
+          <div class="ace-container" part="container"></div>
+          <div class="vim-mode" hidden></div>
+          <div class="diagnostic-tooltip" hidden></div>
+          <div class="ace-toolbar" part="toolbar" hidden></div>
+        </div>
+      `;
+
+    shadow.querySelector(".ace-toolbar").addEventListener("click", (e) => {
+      const button = e.target.closest("button");
+      if (button) {
+        this.#runToolbarAction(button.dataset.action, button);
+      }
+    });
+    this.#renderToolbar();
+
+    this.#alive = true;
+
+    const componentId = this.id;
+
+    // Load Ace and initialize (only once, even if triggered by several sources in lazy mode)
+    const initialize = () => {
+      this.#initialize = null;
+      this.#disconnectLazyObserver();
+
+      (async () => {
+        try {
+          const ace = await loadAceEditor(this.aceUrl);
+          await this.#loadExtensions();
+
+          // Element might have been destroyed while loading
+          if (!this.#alive) return;
+
+          await this.initializeEditor(ace);
+        } catch (error) {
+          console.error(`❌ Failed to initialize Ace Editor ${componentId}:`, error);
+          dispatchLoadError(this, error);
+          this.#failReady(error);
+          const label = shadow.querySelector(".loading-message");
+          if (label) {
+            label.textContent = "❌ Failed to load Ace Editor";
+            label.style.color = "#555";
+            label.style.display = "";
+            label.part.replace("loading", "error");
+          }
+
+          // Timed out script may still finish - initialize again once it does
+          if (error?.url && [...inFlightScripts.values()].includes("loading")) {
+            this.#unsubscribeLateScripts?.();
+            this.#unsubscribeLateScripts = subscribeLateScripts(() => {
+              this.#unsubscribeLateScripts();
+              this.#unsubscribeLateScripts = null;
+              if (!this.#alive) return;
+
+              log(`🔁 Ace Editor [${componentId}] retrying initialization`);
+              if (label) {
+                label.textContent = "Loading Ace Editor...";
+                label.style.color = "";
+                label.part.replace("error", "loading");
+              }
+              this.#resetReady();
+              initialize();
+            });
+          }
+        }
+      })();
+    };
+    this.#initialize = initialize;
+
+    if (this.getAttribute("loading") === "lazy" && typeof IntersectionObserver === "function") {
+      this.#deferInitialization();
+    } else {
+      this.#initialize();
+    }
+
+    // Lazy, still loading or failed editors take part in the form too (name + required)
+    this.#updateFormValue();
+  }
+
+  /**
+   * Applies id-conflict policy to a duplicate ID and reports it with 'ace-id-conflict' event
+   * @private
+   * @param {Error} error - Error thrown by registerEditorId()
+   * @returns {boolean} false when initialization must stop (policy "error")
+   */
+  #resolveIdConflict(error) {
+    const id = this.id;
+    const policy = getIdConflictPolicy(this);
+
+    switch (policy) {
+      case "rename":
+        this.id = generateUniqueId(id);
+        registerEditorId(this.id);
+        this.#registeredId = this.id;
+        log(`🆔 Duplicate ID "${id}" renamed to "${this.id}"`);
+        break;
+      case "warn":
+        console.warn(error.message);
+        break;
+      case "allow":
+        break;
+      default:
+        console.error(error.message);
+    }
+
+    this.dispatchEvent(
+      new CustomEvent("ace-id-conflict", {
+        bubbles: true,
+        detail: {
+          id,
+          newId: this.id,
+          policy,
+          message: error.message,
+        },
+      })
+    );
+
+    if (policy !== "error") return true;
+
+    this.#renderIdError(error.message);
+    this.#failReady(error);
+    return false;
+  }
+
+  /**
+   * Replaces shadow DOM with duplicate ID error box
+   * Message goes in as text - the ID comes from markup and must not be interpreted as HTML
+   * @private
+   * @param {string} message
+   */
+  #renderIdError(message) {
+    const shadow = this.shadowRoot || this.attachShadow({ mode: "open" });
+    shadow.innerHTML = `
+        <style>
+          :host {
+            display: block;
+            width: 100%;
+          }
+          .error-wrapper {
+            border: var(--ace-editor-border, 2px solid #999);
+            border-radius: var(--ace-editor-radius, 0);
+            background: #e0e0e0;
+            padding: 20px;
+            color: #333;
+          }
+          .error-title {
+            font-weight: bold;
+            font-size: 18px;
+            margin-bottom: 10px;
+          }
+          .error-message {
+            font-family: monospace;
+            font-size: 14px;
+          }
+        </style>
+      `;
+
+    const wrapper = document.createElement("div");
+    wrapper.className = "error-wrapper";
+    wrapper.setAttribute("part", "error");
+
+    const title = document.createElement("div");
+    title.className = "error-title";
+    title.textContent = "❌ Duplicate ID Error";
+
+    const text = document.createElement("div");
+    text.className = "error-message";
+    text.textContent = message;
+
+    wrapper.append(title, text);
+    shadow.append(wrapper);
+  }
+
+  /**
+   * Shows plain text placeholder and waits until the element is near the viewport
+   * @private
+   */
+  #deferInitialization() {
+    const shadow = this.shadowRoot;
+
+    const placeholder = document.createElement("pre");
+    placeholder.className = "lazy-placeholder";
+    placeholder.textContent = this.#pendingContent();
+
+    const label = shadow.querySelector(".loading-message");
+    label.style.display = "none";
+    label.after(placeholder);
+
+    this.#lazyObserver = new IntersectionObserver(
+      (entries) => {
+        if (entries.some((entry) => entry.isIntersecting)) {
+          log(`👀 Ace Editor [${this.id}] is near the viewport, initializing...`);
+          this.#initialize?.();
+        }
+      },
+      { rootMargin: this.getAttribute("root-margin") || "200px" }
+    );
+    this.#lazyObserver.observe(this);
+  }
+
+  /**
+   * @private
+   */
+  #disconnectLazyObserver() {
+    if (this.#lazyObserver) {
+      this.#lazyObserver.disconnect();
+      this.#lazyObserver = null;
+    }
+  }
+
+  /**
+   * Renders toolbar buttons listed in the toolbar attribute
+   * @private
+   */
+  #renderToolbar() {
+    const toolbar = this.shadowRoot?.querySelector(".ace-toolbar");
+    if (!toolbar) return;
+
+    const actions = parseList(this.getAttribute("toolbar")).filter((action) => {
+      if (!toolbarActions[action]) {
+        console.error(`❌ ace-web-component.js [${this.id}]: Unknown toolbar action "${action}"`);
+        return false;
+      }
+      return true;
+    });
+
+    toolbar.replaceChildren(
+      ...actions.map((action) => {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.dataset.action = action;
+        button.textContent = toolbarActions[action].label;
+        button.title = toolbarActions[action].title;
+        return button;
+      })
+    );
+    toolbar.hidden = !actions.length;
+  }
+
+  /**
+   * Executes toolbar action
+   * @private
+   * @param {string} action - "copy", "download", "fullscreen" or "wrap"
+   * @param {HTMLButtonElement} button - Clicked button (for the confirmation)
+   * @returns {Promise<void>}
+   */
+  async #runToolbarAction(action, button) {
+    switch (action) {
+      case "copy": {
+        const event = new CustomEvent("ace-copy", {
+          bubbles: true,
+          cancelable: true,
+          detail: { text: this.value, id: this.id },
+        });
+
+        if (!this.dispatchEvent(event)) return;
+
+        try {
+          await copyToClipboard(event.detail.text);
+          button.textContent = "✔";
+        } catch (error) {
+          console.error(`❌ ace-web-component.js [${this.id}]:`, error);
+          button.textContent = "❌";
+        }
+
+        setTimeout(() => {
+          button.textContent = toolbarActions.copy.label;
+        }, 1000);
+        break;
+      }
+      case "download": {
+        const event = new CustomEvent("ace-download", {
+          bubbles: true,
+          cancelable: true,
+          detail: { text: this.value, filename: this.getAttribute("filename") || `${this.id}.txt`, id: this.id },
+        });
+
+        if (!this.dispatchEvent(event)) return;
+
+        const url = URL.createObjectURL(new Blob([event.detail.text], { type: "text/plain;charset=utf-8" }));
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = event.detail.filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+        break;
+      }
+      case "fullscreen":
+        // Rejects (or throws without Fullscreen API) e.g. in an iframe without allowfullscreen
+        try {
+          if (document.fullscreenElement === this) {
+            await document.exitFullscreen();
+          } else {
+            await this.requestFullscreen();
+          }
+        } catch (error) {
+          console.error(`❌ ace-web-component.js [${this.id}]:`, error);
+        }
+        break;
+      case "wrap":
+        if (this.editor) {
+          this.setAttribute("wrap", this.editor.getSession().getUseWrapMode() ? "off" : "true");
+        }
+        break;
+    }
+  }
+
+  /**
+   * Content the editor is going to be initialized with (used before the editor exists)
+   * @private
+   * @returns {string}
+   */
+  #pendingContent() {
+    return this.#propertyValue ?? readElementContent(this, this.initialContent);
+  }
+
+  async initializeEditor(ace) {
+    const shadow = this.shadowRoot;
+    const wrapper = shadow.querySelector(".ace-wrapper");
+    const container = shadow.querySelector(".ace-container");
+    const label = shadow.querySelector(".loading-message");
+
+    // Wait until the component becomes visible to avoid initialization issues with hidden elements
+    if (!visible(container)) {
+      log(`⏳ Ace Editor [${this.id}] is not visible yet, waiting for visibility before initialization...`);
+      await new Promise((resolve) => {
+        const observer = new ResizeObserver(() => {
+          if (visible(container)) {
+            observer.disconnect();
+            resolve();
+          }
+        });
+        observer.observe(container);
+      });
+    }
+
+    // Update UI to show loaded state
+    label.textContent = "Ace Editor Loaded!";
+    setTimeout(() => {
+      label.style.display = "none";
+      wrapper.classList.add("loaded");
+    }, 500);
+
+    // Initialize Ace Editor
+    const editor = ace.edit(container);
+    shadow.querySelector(".lazy-placeholder")?.remove();
+    editor.renderer.setPadding(0);
+    editor.renderer.setScrollMargin(0, 0, 0, 0);
+
+    // Flag to track if we're in a programmatic update (to suppress 'input' event)
+    // Initialize early so we can use it during initial content setting
+    this._isProgrammaticChange = false;
+
+    // Get configuration from attributes
+    const lang = resolveAceMode(this.getAttribute("lang"));
+    const readonly = this.hasAttribute("readonly");
+
+    // Configure editor
+    const session = editor.getSession();
+    // Workers (worker-javascript.js, ...) are loaded only when validation is requested
+    session.setUseWorker(this.hasAttribute("validate"));
+    this.#applyOptions(editor);
+
+    this.#applyTheme(editor);
+    this.#unsubscribeColorScheme = subscribeColorScheme(() => this.#applyTheme());
+    session.setMode(`ace/mode/${lang}`);
+
+    // // Hide horizontal scrollbar since we're using wrap mode
+    // editor.setOption("hScrollBarAlwaysVisible", false);
+
+    // Additional scrollbar configuration
+    editor.renderer.setScrollMargin(0, 0, 0, 0);
+
+    if (readonly || this.#formDisabled) {
+      editor.setReadOnly(true);
+    }
+
+    // Set initial content from multiple sources
+    // Priority: value property > value attribute > <script type="ace"> > textContent > content attribute
+    this.initialContent = this.#pendingContent();
+    this.#propertyValue = null;
+
+    // Set initial content (suppress 'input' event for initialization)
+    if (this.initialContent) {
+      this._isProgrammaticChange = true;
+      editor.setValue(this.initialContent, -1); // -1 moves cursor to start
+      editor.clearSelection();
+      this._isProgrammaticChange = false;
+    }
+
+    // Store data-eval info for later execution (after full initialization)
+    const shouldEval = this.hasAttribute("data-eval");
+    const dataEvalValue = this.getAttribute("data-eval");
+    const codeToEval = this.initialContent;
+
+    // Remove data-eval attribute to prevent re-execution
+    if (shouldEval) {
+      this.removeAttribute("data-eval");
+    }
+
+    // Auto-resize to fit content
+    const heightUpdateFunction = () => {
+      // In fullscreen the editor fills the screen and scrolls instead of growing
+      if (document.fullscreenElement === this) {
+        container.style.height = "100vh";
+        editor.resize();
+        return;
+      }
+
+      // Calculate height based on content only (horizontal scrollbar is hidden)
+      const contentHeight = session.getScreenLength() * editor.renderer.lineHeight;
+
+      // Check for min-height constraints
+      const minHeightPx = this.getAttribute("min-height-px");
+      const minHeightLines = this.getAttribute("min-height-lines");
+
+      let minHeight = 0;
+      if (minHeightPx) {
+        minHeight = parseInt(minHeightPx, 10);
+      } else if (minHeightLines) {
+        minHeight = parseInt(minHeightLines, 10) * editor.renderer.lineHeight;
+      }
+
+      const finalHeight = Math.max(contentHeight, minHeight); //+ 16; // correction
+      container.style.height = finalHeight + "px";
+      editor.resize();
+    };
+
+    // Forward worker diagnostics
+    session.on("changeAnnotation", () => {
+      // Annotations not set by #renderDiagnostics() come from the worker - merge them with setDiagnostics() ones
+      if (!this.#renderingDiagnostics) {
+        this.#workerAnnotations = session.getAnnotations() || [];
+        if (this.#diagnostics.size) {
+          this.#renderDiagnostics();
+          return;
+        }
+      }
+
+      this.dispatchEvent(
+        new CustomEvent("diagnostics", {
+          bubbles: true,
+          detail: {
+            annotations: this.annotations,
+            errors: this.annotations.filter((annotation) => annotation.type === "error"),
+            id: this.id,
+          },
+        })
+      );
+
+      this.#updateFormValue();
+    });
+
+    // Tooltips for diagnostics underlined in the text (gutter annotations have their own)
+    editor.on("mousemove", (e) => this.#showDiagnosticTooltip(e));
+    editor.container.addEventListener("mouseleave", () => this.#showDiagnosticTooltip(null));
+
+    // Pull fresh diagnostics from the linter callback
+    session.on("change", () => this.#scheduleLint());
+
+    this.#onFullscreenChange = heightUpdateFunction;
+    this.addEventListener("fullscreenchange", this.#onFullscreenChange);
+
+    // Emitted by ext-linking (links attribute) while Ctrl/Cmd is pressed
+    editor.on("linkHover", ({ position }) => this.#highlightLink(position));
+    editor.on("linkHoverOut", () => this.#highlightLink(null));
+    editor.on("linkClick", ({ position }) => this.#openLink(position));
+
+    // Font size changes alter the line height
+    editor.renderer.on("changeCharacterSize", heightUpdateFunction);
+
+    // Update size on content change and dispatch input event
+    session.on("change", () => {
+      heightUpdateFunction();
+
+      // Only dispatch input event for user interactions, not programmatic changes
+      // This matches native textarea/input behavior where element.value = "..." does NOT fire 'input'
+      if (!this._isProgrammaticChange) {
+        this.dispatchEvent(new Event("input", { bubbles: true }));
+      }
+
+      this.#updateFormValue();
+    });
+
+    // Store reference for attribute changes
+    this._heightUpdateFunction = heightUpdateFunction;
+
+    // CRITICAL: Share document stylesheets with shadow DOM
+    // Ace injects its styles into document.head dynamically, they don't reach the shadow DOM on their own
+    // Styles injected later (themes, extensions) are pushed by the shared observer - recalculate size then
+    this._unregisterStyles = registerAceStyleRoot(shadow, () => setTimeout(heightUpdateFunction, 50));
+
+    // Set initial size AFTER styles are adopted
+    setTimeout(heightUpdateFunction, 50);
+
+    // Store editor reference
+    this.editor = editor;
+
+    // Bring back the state saved under the persist key, then keep saving it
+    this.#restorePersisted();
+    session.on("change", () => this.#schedulePersist());
+    session.on("changeFold", () => this.#schedulePersist());
+    session.on("changeScrollTop", () => this.#schedulePersist());
+    session.on("changeScrollLeft", () => this.#schedulePersist());
+    editor.selection.on("changeCursor", () => this.#schedulePersist());
+    editor.selection.on("changeSelection", () => this.#schedulePersist());
+    window.addEventListener("pagehide", this.#persistOnPageHide);
+
+    // Re-dispatch Ace events on the host so consumers don't need getEditor()
+    session.on("change", (delta) => {
+      this.#dispatch("ace-change", { delta, isUserInput: !this._isProgrammaticChange });
+    });
+    editor.selection.on("changeSelection", () => {
+      this.#dispatch("ace-selectionchange", {
+        range: editor.getSelectionRange(),
+        isEmpty: editor.selection.isEmpty(),
+      });
+    });
+    editor.selection.on("changeCursor", () => {
+      const { row, column } = editor.getCursorPosition();
+      this.#dispatch("ace-cursorchange", { row, column });
+    });
+    const dispatchScroll = () => {
+      this.#dispatch("ace-scroll", { scrollTop: session.getScrollTop(), scrollLeft: session.getScrollLeft() });
+    };
+    session.on("changeScrollTop", dispatchScroll);
+    session.on("changeScrollLeft", dispatchScroll);
+    editor.renderer.on("resize", () => {
+      this.#dispatch("ace-resize", { width: container.offsetWidth, height: container.offsetHeight });
+    });
+
+    // Publish the initial content to the owning <form>
+    this.#updateFormValue();
+
+    // Store pending value that was blocked by readonly
+    this._pendingValue = null;
+
+    // Vim reports mode switches (NORMAL/INSERT/VISUAL) through changeStatus
+    editor.on("changeStatus", () => this.#updateVimMode());
+    this.#applyKeybinding();
+    this.#applyAutocomplete();
+    this.#applyLinks();
+    this.#applyLineMarkers();
+    this.#renderDiagnostics();
+    this.#scheduleLint(0);
+
+    const triggerReady = () => {
+      // Dispatch custom 'aceOnLoad' event
+      this.dispatchEvent(
+        new CustomEvent("aceOnLoad", {
+          bubbles: true,
+          detail: {
+            component: this,
+            editor: this.editor,
+            id: this.id,
+          },
+        })
+      );
+      Promise.resolve().then(() => {
+        this._triggerLoadEvent();
+      });
+    };
+
+    // Execute data-eval code AFTER everything is fully initialized
+    // This ensures this.editor is set and getValue() works correctly
+    if (shouldEval && codeToEval) {
+      // Wait for next tick to ensure all initialization is complete
+      setTimeout(() => {
+        // Determine script type:
+        // - data-eval="module" -> type="module"
+        // - data-eval or data-eval="" -> regular script (no type attribute)
+        const scriptType = dataEvalValue === "module" ? "module" : null;
+
+        log(`🔥 Executing data-eval code for: ${this.id || "unnamed"}${scriptType ? ` (type: ${scriptType})` : ""}`);
+
+        const script = document.createElement("script");
+
+        // Set script type if it's a module
+        if (scriptType) {
+          script.type = scriptType;
+        }
+
+        script.textContent = codeToEval;
+        document.body.appendChild(script);
+
+        // Mark that initial eval was done
+        this._initialEvalDone = true;
+
+        triggerReady();
+      }, 0);
+    } else {
+      triggerReady();
+    }
+  }
+
+  // Handle attribute changes (React compatibility)
+  attributeChangedCallback(name, oldValue, newValue) {
+    // Lazy editor switched to eager
+    if (name === "loading" && newValue !== "lazy") {
+      this.#initialize?.();
+    }
+
+    // Toolbar works also before the editor is loaded
+    if (name === "toolbar") {
+      this.#renderToolbar();
+    }
+
+    // Form state works also before the editor is loaded (lazy, loading or failed editors)
+    if (name === "required" || name === "name") {
+      this.#updateFormValue();
+      return;
+    }
+
+    if (!this.editor) return;
+
+    switch (name) {
+      case "value":
+        // If editor is readonly, store the pending value
+        if (this.editor.getReadOnly()) {
+          this._pendingValue = newValue;
+          return;
+        }
+        // Clear any pending value since we're applying this one
+        this._pendingValue = null;
+
+        // Controlled value (React): apply as minimal edit so cursor, selection and undo survive
+        this.#applyExternalValue(newValue || "");
+        break;
+      case "lang":
+        this.editor.getSession().setMode(`ace/mode/${newValue}`);
+        break;
+      case "theme":
+      case "theme-light":
+      case "theme-dark":
+        this.#applyTheme();
+        break;
+      case "readonly":
+        const isReadonly = newValue !== null;
+        this.editor.setReadOnly(isReadonly || this.#formDisabled);
+
+        // If readonly is being removed and there's a pending value, apply it
+        if (!isReadonly && this._pendingValue !== null) {
+          this.#applyExternalValue(this._pendingValue);
+          this._pendingValue = null;
+        }
+        break;
+      case "min-height-px":
+      case "min-height-lines":
+        // Trigger height recalculation
+        if (this._heightUpdateFunction) {
+          this._heightUpdateFunction();
+        }
+        break;
+      case "extensions":
+        this.#loadExtensions();
+        break;
+      case "keybinding":
+        this.#applyKeybinding();
+        break;
+      case "autocomplete":
+        this.#applyAutocomplete();
+        break;
+      case "links":
+        this.#applyLinks();
+        break;
+      case "highlight-lines":
+      case "focus-lines":
+      case "focus-fold":
+        this.#applyLineMarkers();
+        break;
+      case "validate":
+        const validate = newValue !== null;
+        this.editor.getSession().setUseWorker(validate);
+        if (!validate) {
+          this.editor.getSession().clearAnnotations();
+        }
+        break;
+      case "options":
+        this.#options = null;
+        this.#applyOptions();
+        break;
+      default:
+        if (optionAttributes[name]) {
+          this.#applyOptions();
+        }
+        break;
+    }
+  }
+
+  /**
+   * Theme name resolved from theme/theme-light/theme-dark attributes and the current color scheme
+   * @type {string}
+   */
+  get resolvedTheme() {
+    const theme = this.getAttribute("theme");
+    const light = this.getAttribute("theme-light");
+    const dark = this.getAttribute("theme-dark");
+
+    if (theme === "auto" || (!theme && (light || dark))) {
+      return getColorScheme() === "dark" ? dark || DEFAULT_DARK_THEME : light || DEFAULT_LIGHT_THEME;
+    }
+
+    return theme || "idle_fingers";
+  }
+
+  /**
+   * Sets resolved theme on the editor
+   * @private
+   * @param {Object} [editor] - Ace editor instance (defaults to this.editor)
+   */
+  #applyTheme(editor = this.editor) {
+    if (!editor) return;
+
+    const theme = `ace/theme/${this.resolvedTheme}`;
+
+    if (editor.getTheme() !== theme) {
+      editor.setTheme(theme);
+    }
+  }
+
+  /**
+   * Loads ext-linking and toggles Ctrl/Cmd + click on URLs according to the links attribute
+   * @private
+   * @returns {Promise<void>}
+   */
+  async #applyLinks() {
+    if (!this.editor) return;
+
+    const links = this.hasAttribute("links") && parseBooleanAttribute(this.getAttribute("links"));
+
+    // enableLinking option doesn't exist until ext-linking is loaded
+    if (!links && !("enableLinking" in this.editor.$options)) return;
+
+    try {
+      await AceEditorComponent.loadExtension("linking");
+
+      this.editor?.setOption("enableLinking", links);
+
+      if (!links) {
+        this.#highlightLink(null);
+      }
+    } catch (error) {
+      console.error(`❌ ace-web-component.js [${this.id}]:`, error);
+    }
+  }
+
+  /**
+   * Underlines URL under the pointer
+   * @private
+   * @param {{row: number, column: number}|null} position - Document position, null removes the underline
+   */
+  #highlightLink(position) {
+    const session = this.editor?.getSession();
+    if (!session) return;
+
+    const link = position ? findUrlAtPosition(session.getLine(position.row), position.column) : undefined;
+
+    if (this.#linkMarker !== null) {
+      session.removeMarker(this.#linkMarker);
+      this.#linkMarker = null;
+    }
+
+    this.editor.renderer.setCursorStyle(link ? "pointer" : "");
+
+    if (link) {
+      const { Range } = loadedAce.require("ace/range");
+      this.#linkMarker = session.addMarker(
+        new Range(position.row, link.start, position.row, link.end),
+        "ace-link",
+        "text",
+        true
+      );
+    }
+  }
+
+  /**
+   * Dispatches cancelable 'linkclick' and opens the URL in a new tab unless prevented
+   * @private
+   * @param {{row: number, column: number}} position - Document position
+   */
+  #openLink(position) {
+    const link = findUrlAtPosition(this.editor.getSession().getLine(position.row), position.column);
+    if (!link) return;
+
+    const event = new CustomEvent("linkclick", {
+      bubbles: true,
+      cancelable: true,
+      detail: {
+        url: link.url,
+        row: position.row,
+        column: position.column,
+        id: this.id,
+      },
+    });
+
+    if (this.dispatchEvent(event)) {
+      log(`opening >${link.url}<`);
+      window.open(link.url, "_blank", "noopener");
+    }
+  }
+
+  /**
+   * Marks highlight-lines and dims everything outside focus-lines (folded with focus-fold)
+   * Previous markers and folds are replaced, so pages can step through ranges by changing the attributes
+   * @private
+   */
+  #applyLineMarkers() {
+    const session = this.editor?.getSession();
+    if (!session) return;
+
+    const { Range } = loadedAce.require("ace/range");
+
+    this.#lineMarkers.forEach((id) => session.removeMarker(id));
+    this.#lineMarkers = [];
+
+    // Folds expanded by the user are gone already
+    const folds = session.getAllFolds();
+    this.#lineFolds.filter((fold) => folds.includes(fold)).forEach((fold) => session.removeFold(fold));
+    this.#lineFolds = [];
+
+    // Attributes are 1-based, Ace rows 0-based
+    parseLineRanges(this.getAttribute("highlight-lines")).forEach(([start, end]) => {
+      const range = new Range(start - 1, 0, end - 1, Infinity);
+      this.#lineMarkers.push(session.addMarker(range, "ace-highlighted-line", "fullLine"));
+    });
+
+    const focus = parseLineRanges(this.getAttribute("focus-lines"));
+    if (!focus.length) return;
+
+    // Rows between focus ranges, the last one is open-ended so it follows content changes
+    const gaps = [];
+    let row = 0;
+    focus.forEach(([start, end]) => {
+      if (start - 1 > row) {
+        gaps.push([row, start - 2]);
+      }
+      row = end;
+    });
+    gaps.push([row, Infinity]);
+
+    const fold = this.hasAttribute("focus-fold");
+    const lastRow = session.getLength() - 1;
+
+    gaps.forEach(([start, end]) => {
+      this.#lineMarkers.push(
+        session.addMarker(new Range(start, 0, end, Infinity), "ace-dimmed-line", "fullLine", true)
+      );
+
+      end = Math.min(end, lastRow);
+      if (!fold || start > end) return;
+
+      // Fold from the end of the previous line, so it keeps showing the placeholder
+      const range =
+        start > 0
+          ? new Range(start - 1, session.getLine(start - 1).length, end, session.getLine(end).length)
+          : new Range(0, 0, end, session.getLine(end).length);
+
+      try {
+        this.#lineFolds.push(session.addFold("⋯", range));
+      } catch (e) {
+        console.error(`❌ ace-web-component.js [${this.id}]: Cannot fold lines ${start + 1}-${end + 1}:`, e);
+      }
+    });
+  }
+
+  /**
+   * Annotations (errors, warnings, info) currently shown in the gutter
+   *
+   * @type {Array<{row: number, column: number, text: string, type: string}>}
+   * @description
+   * With validate attribute they come from Ace syntax workers.
+   * Changes are announced with the 'diagnostics' event.
+   *
+   * @example
+   * form.addEventListener("submit", (e) => {
+   *   if (acecomp.annotations.some((a) => a.type === "error")) e.preventDefault();
+   * });
+   */
+  get annotations() {
+    return this.editor ? this.editor.getSession().getAnnotations() || [] : [];
+  }
+
+  /**
+   * Shows diagnostics from external tools (linters, SQL checkers, ...) in the editor
+   *
+   * @param {Array<Object>} diagnostics - List of diagnostics, rows and columns are 0-based like Ace positions
+   * @param {number} diagnostics[].row - Start row
+   * @param {number} [diagnostics[].column=0] - Start column
+   * @param {number} [diagnostics[].endRow=row] - End row
+   * @param {number} [diagnostics[].endColumn] - End column (defaults to the end of the start row)
+   * @param {string} [diagnostics[].severity='error'] - "error", "warning", "info" or "hint"
+   * @param {string} diagnostics[].message - Message shown in gutter and hover tooltips
+   * @param {string} [diagnostics[].source] - Name of the tool that produced the diagnostic
+   * @param {string} [source] - Replace only this set (entries without own source get it)
+   * @description
+   * Renders gutter annotations, squiggly underlines and hover tooltips.
+   * Diagnostics are kept per source, so several linters can coexist:
+   * setting diagnostics for "eslint" leaves the "sql" ones untouched.
+   * Without the source argument, sets of all sources present in the list are replaced.
+   *
+   * @example
+   * acecomp.setDiagnostics([{ row: 2, column: 4, endColumn: 9, severity: "warning", message: "Unused variable" }], "eslint");
+   * acecomp.setDiagnostics([], "eslint"); // clear eslint results only
+   */
+  setDiagnostics(diagnostics, source) {
+    const list = Array.isArray(diagnostics) ? diagnostics : [];
+
+    if (source !== undefined) {
+      this.#diagnostics.set(
+        source,
+        list.map((diagnostic) => ({ ...diagnostic, source: diagnostic.source ?? source }))
+      );
+    } else {
+      const bySource = new Map();
+      list.forEach((diagnostic) => {
+        const key = diagnostic.source ?? "default";
+        if (!bySource.has(key)) bySource.set(key, []);
+        bySource.get(key).push({ ...diagnostic, source: key });
+      });
+      bySource.forEach((items, key) => this.#diagnostics.set(key, items));
+    }
+
+    this.#renderDiagnostics();
+  }
+
+  /**
+   * Removes diagnostics added with setDiagnostics()
+   * @param {string} [source] - Clear only this source, all sources when omitted
+   */
+  clearDiagnostics(source) {
+    if (source === undefined) {
+      this.#diagnostics.clear();
+    } else {
+      this.#diagnostics.delete(source);
+    }
+
+    this.#renderDiagnostics();
+  }
+
+  /**
+   * All diagnostics added with setDiagnostics() (flattened across sources)
+   * @type {Array<Object>}
+   */
+  get diagnostics() {
+    return [...this.#diagnostics.values()].flat();
+  }
+
+  /**
+   * Converts diagnostic to Ace Range clamped to the document
+   * @private
+   * @param {Object} diagnostic
+   * @returns {Object} Ace Range
+   */
+  #diagnosticRange(diagnostic) {
+    const { Range } = loadedAce.require("ace/range");
+    const session = this.editor.getSession();
+    const lastRow = Math.max(session.getLength() - 1, 0);
+
+    const row = Math.min(Math.max(diagnostic.row || 0, 0), lastRow);
+    const endRow = Math.min(Math.max(diagnostic.endRow ?? row, row), lastRow);
+    const column = diagnostic.column || 0;
+    const endColumn =
+      diagnostic.endColumn ??
+      (endRow === row && diagnostic.column !== undefined ? column + 1 : session.getLine(endRow).length);
+
+    return new Range(row, column, endRow, endRow === row ? Math.max(endColumn, column + 1) : endColumn);
+  }
+
+  /**
+   * Renders worker annotations merged with setDiagnostics() as gutter annotations and range markers
+   * @private
+   */
+  #renderDiagnostics() {
+    if (!this.editor) return;
+
+    const session = this.editor.getSession();
+
+    this.#diagnosticMarkers.forEach((id) => session.removeMarker(id));
+    this.#diagnosticMarkers = [];
+
+    const diagnostics = this.diagnostics;
+
+    // Keep ranges of diagnostics still present (they already moved with edits), anchor the new ones
+    const ranges = new Map();
+    diagnostics.forEach((diagnostic) => {
+      let range = this.#diagnosticRanges.get(diagnostic);
+      if (range) {
+        this.#diagnosticRanges.delete(diagnostic);
+      } else {
+        // Same as Ace search highlight - anchors shift with inserted/removed text
+        range = this.#diagnosticRange(diagnostic);
+        range.start = session.doc.createAnchor(range.start);
+        range.end = session.doc.createAnchor(range.end);
+      }
+      ranges.set(diagnostic, range);
+    });
+    this.#detachDiagnosticRanges();
+    this.#diagnosticRanges = ranges;
+
+    ranges.forEach((range, diagnostic) => {
+      const type = severityToAnnotationType[diagnostic.severity] || "error";
+      this.#diagnosticMarkers.push(session.addMarker(range, `ace-diagnostic ace-diagnostic-${type}`, "text", true));
+    });
+
+    this.#renderingDiagnostics = true;
+    try {
+      session.setAnnotations([
+        ...this.#workerAnnotations,
+        ...diagnostics.map((diagnostic) => ({
+          row: ranges.get(diagnostic).start.row,
+          column: diagnostic.column || 0,
+          text: diagnostic.source ? `${diagnostic.message} (${diagnostic.source})` : diagnostic.message,
+          type: severityToAnnotationType[diagnostic.severity] || "error",
+        })),
+      ]);
+    } finally {
+      this.#renderingDiagnostics = false;
+    }
+  }
+
+  /**
+   * Detaches anchors of rendered diagnostic ranges from the document
+   * @private
+   */
+  #detachDiagnosticRanges() {
+    this.#diagnosticRanges.forEach((range) => {
+      range.start.detach();
+      range.end.detach();
+    });
+    this.#diagnosticRanges.clear();
+  }
+
+  /**
+   * Shows tooltip with messages of diagnostics under the mouse pointer
+   * @private
+   * @param {Object|null} e - Ace mouse event, null hides the tooltip
+   */
+  #showDiagnosticTooltip(e) {
+    const tooltip = this.shadowRoot?.querySelector(".diagnostic-tooltip");
+    if (!tooltip) return;
+
+    const position = e && this.editor ? e.getDocumentPosition() : null;
+    const messages = position
+      ? this.diagnostics
+          .filter((diagnostic) => this.#diagnosticRanges.get(diagnostic)?.contains(position.row, position.column))
+          .map((diagnostic) => (diagnostic.source ? `${diagnostic.source}: ${diagnostic.message}` : diagnostic.message))
+      : [];
+
+    if (!messages.length) {
+      tooltip.hidden = true;
+      return;
+    }
+
+    tooltip.textContent = messages.join("\n");
+    tooltip.style.left = `${e.clientX + 10}px`;
+    tooltip.style.top = `${e.clientY + 16}px`;
+    tooltip.hidden = false;
+  }
+
+  /**
+   * Linter callback pulled after changes (debounced)
+   *
+   * @type {Function|null}
+   * @description
+   * Called with (value, { editor, component }), returns diagnostics (or a Promise of them)
+   * in setDiagnostics() format. Each run replaces the "linter" set.
+   *
+   * @example
+   * acecomp.linter = async (value) => (await fetch("/lint", { method: "POST", body: value })).json();
+   */
+  get linter() {
+    return this.#linter;
+  }
+
+  set linter(linter) {
+    this.#linter = typeof linter === "function" ? linter : null;
+
+    if (!this.#linter) {
+      clearTimeout(this.#lintTimer);
+      this.clearDiagnostics("linter");
+      return;
+    }
+
+    this.#scheduleLint(0);
+  }
+
+  /**
+   * Runs linter callback after LINT_DELAY, ignoring results of outdated runs
+   * @private
+   * @param {number} [delay=LINT_DELAY]
+   */
+  #scheduleLint(delay = LINT_DELAY) {
+    clearTimeout(this.#lintTimer);
+
+    if (!this.#linter || !this.editor) return;
+
+    this.#lintTimer = setTimeout(async () => {
+      const run = ++this.#lintRun;
+
+      try {
+        const diagnostics = await this.#linter(this.editor.getValue(), { editor: this.editor, component: this });
+
+        if (run === this.#lintRun && this.editor) {
+          this.setDiagnostics(diagnostics || [], "linter");
+        }
+      } catch (error) {
+        console.error(`❌ ace-web-component.js [${this.id}]: linter failed:`, error);
+      }
+    }, delay);
+  }
+
+  /**
+   * Applies value coming from outside (attribute, property) as minimal edit
+   * Doesn't fire 'input', keeps cursor, selection, scroll position and undo history
+   * @private
+   * @param {string} value
+   */
+  #applyExternalValue(value) {
+    const session = this.editor.getSession();
+    const scrollTop = session.getScrollTop();
+    const scrollLeft = session.getScrollLeft();
+    const wasProgrammaticChange = this._isProgrammaticChange;
+
+    this._isProgrammaticChange = true;
+    applyMinimalDiff(session, value, loadedAce.require("ace/range").Range);
+    this._isProgrammaticChange = wasProgrammaticChange;
+
+    session.setScrollTop(scrollTop);
+    session.setScrollLeft(scrollLeft);
+  }
+
+  /**
+   * Dispatches bubbling CustomEvent on the host, detail gets the editor id
+   * @private
+   * @param {string} type - Event name e.g. "ace-change"
+   * @param {Object} detail
+   */
+  #dispatch(type, detail) {
+    this.dispatchEvent(
+      new CustomEvent(type, {
+        bubbles: true,
+        detail: { ...detail, id: this.id },
+      })
+    );
+  }
+
+  /**
+   * Restores state saved under the persist attribute key
+   * @private
+   */
+  #restorePersisted() {
+    const key = this.getAttribute("persist");
+
+    if (!key) return;
+
+    let state = null;
+    try {
+      state = JSON.parse(localStorage.getItem(PERSIST_PREFIX + key));
+    } catch (e) {
+      console.error(`❌ ace-web-component.js [${this.id}]: Cannot read persisted state "${key}":`, e);
+      return;
+    }
+
+    if (typeof state?.value !== "string") return;
+
+    const editor = this.editor;
+    const session = editor.getSession();
+
+    this._isProgrammaticChange = true;
+    editor.setValue(state.value, -1);
+    this._isProgrammaticChange = false;
+
+    try {
+      if (state.history) {
+        restoreUndoHistory(session.getUndoManager(), state.history);
+      }
+
+      const { Range } = loadedAce.require("ace/range");
+      (state.folds || []).forEach((fold) => {
+        session.addFold(fold.placeholder, Range.fromPoints(fold.start, fold.end));
+      });
+
+      if (state.selection) {
+        editor.selection.fromJSON(state.selection);
+      }
+
+      session.setScrollTop(state.scrollTop || 0);
+      session.setScrollLeft(state.scrollLeft || 0);
+    } catch (e) {
+      console.error(`❌ ace-web-component.js [${this.id}]: Persisted state "${key}" restored partially:`, e);
+    }
+
+    log(`💾 Ace Editor [${this.id}] restored from "${key}"`);
+
+    this.dispatchEvent(
+      new CustomEvent("restored", {
+        bubbles: true,
+        detail: {
+          key,
+          value: state.value,
+          id: this.id,
+        },
+      })
+    );
+  }
+
+  /**
+   * Saves state after PERSIST_DELAY (debounced)
+   * @private
+   */
+  #schedulePersist() {
+    clearTimeout(this.#persistTimer);
+    this.#persistTimer = null;
+
+    if (!this.hasAttribute("persist") || !this.editor) return;
+
+    this.#persistTimer = setTimeout(() => this.#persist(), PERSIST_DELAY);
+  }
+
+  /**
+   * Saves value, selection, scroll position, folds and undo history under the persist attribute key
+   * @private
+   */
+  #persist() {
+    clearTimeout(this.#persistTimer);
+    this.#persistTimer = null;
+
+    const key = this.getAttribute("persist");
+
+    if (!key || !this.editor) return;
+
+    const session = this.editor.getSession();
+    const state = {
+      value: this.editor.getValue(),
+      selection: this.editor.selection.toJSON(),
+      scrollTop: session.getScrollTop(),
+      scrollLeft: session.getScrollLeft(),
+      folds: session.getAllFolds().map(({ range, placeholder }) => ({
+        start: range.start,
+        end: range.end,
+        placeholder,
+      })),
+      history: serializeUndoHistory(session.getUndoManager()),
+    };
+
+    try {
+      localStorage.setItem(PERSIST_PREFIX + key, JSON.stringify(state));
+    } catch (e) {
+      // Most likely quota exceeded - undo history is the bulky part, keep the rest
+      try {
+        localStorage.setItem(PERSIST_PREFIX + key, JSON.stringify({ ...state, history: null }));
+      } catch (e) {
+        console.error(`❌ ace-web-component.js [${this.id}]: Cannot persist state "${key}":`, e);
+      }
+    }
+  }
+
+  /**
+   * Removes state saved under the persist attribute key
+   *
+   * @description
+   * The editor keeps its content, next change is saved again - remove the persist attribute to stop persisting
+   *
+   * @example
+   * acecomp.clearPersisted();
+   */
+  clearPersisted() {
+    clearTimeout(this.#persistTimer);
+    this.#persistTimer = null;
+
+    const key = this.getAttribute("persist");
+
+    if (!key) return;
+
+    try {
+      localStorage.removeItem(PERSIST_PREFIX + key);
+    } catch (e) {
+      console.error(`❌ ace-web-component.js [${this.id}]: Cannot clear persisted state "${key}":`, e);
+    }
+  }
+
+  /**
+   * Loads keybinding-*.js for the keybinding attribute and installs it as keyboard handler
+   * Missing or unknown keybinding restores default Ace key bindings
+   * @private
+   * @returns {Promise<void>}
+   */
+  async #applyKeybinding() {
+    const keybinding = (this.getAttribute("keybinding") || "").trim().toLowerCase();
+
+    if (!keybinding || !keybindings.includes(keybinding)) {
+      if (keybinding && keybinding !== "ace") {
+        console.error(
+          `❌ ace-web-component.js [${this.id}]: Unknown keybinding "${keybinding}", ` +
+            `expected one of: ${keybindings.join(", ")}`
+        );
+      }
+      this.editor?.setKeyboardHandler(null);
+      this.#updateVimMode();
+      return;
+    }
+
+    try {
+      const module = await AceEditorComponent.loadExtension(`keybinding-${keybinding}`);
+
+      // Attribute might have changed (or editor destroyed) while the script was loading
+      if (!this.editor || this.getAttribute("keybinding")?.trim().toLowerCase() !== keybinding) return;
+
+      this.editor.setKeyboardHandler(module?.handler || `ace/keyboard/${keybinding}`);
+      this.#updateVimMode();
+    } catch (error) {
+      console.error(`❌ ace-web-component.js [${this.id}]:`, error);
+    }
+  }
+
+  /**
+   * Refreshes vim mode indicator and dispatches 'ace-vimmodechange' when the mode changes
+   * @private
+   */
+  #updateVimMode() {
+    const indicator = this.shadowRoot?.querySelector(".vim-mode");
+    const handler = this.editor?.getKeyboardHandler();
+
+    let mode = null;
+
+    if (handler && handler.$id === "ace/keyboard/vim" && typeof handler.getStatusText === "function") {
+      // getStatusText returns e.g. "INSERT", "VISUAL LINE", "VISUAL 2d" or pending keys in normal mode
+      const status = handler.getStatusText(this.editor) || "";
+      const visual = status.match(/^VISUAL( LINE| BLOCK)?/);
+
+      if (status.startsWith("INSERT")) {
+        mode = "INSERT";
+      } else if (visual) {
+        mode = visual[0];
+      } else {
+        mode = "NORMAL";
+      }
+    }
+
+    if (indicator) {
+      indicator.textContent = mode || "";
+      indicator.hidden = !mode;
+    }
+
+    if (mode === this.#vimMode) return;
+
+    const previousMode = this.#vimMode;
+    this.#vimMode = mode;
+
+    if (mode) {
+      this.dispatchEvent(
+        new CustomEvent("ace-vimmodechange", {
+          bubbles: true,
+          detail: {
+            mode,
+            previousMode,
+            id: this.id,
+          },
+        })
+      );
+    }
+  }
+
+  /**
+   * Loads ext-language_tools and configures completion according to the autocomplete attribute
+   * Completers are set per editor (editor.completers) so registerCompleter() never touches
+   * the global list shared by every Ace editor on the page
+   * @private
+   * @returns {Promise<void>}
+   */
+  async #applyAutocomplete() {
+    if (!this.editor) return;
+
+    const value = this.getAttribute("autocomplete");
+    // bare autocomplete attribute means basic (Ctrl-Space) completion
+    const modes = value === "" ? ["basic"] : parseList(value);
+
+    // Nothing to switch off if language_tools was never loaded (its options don't exist yet)
+    if (!modes.length && !("enableBasicAutocompletion" in this.editor.$options)) return;
+
+    try {
+      const langTools = await AceEditorComponent.loadExtension("language_tools");
+
+      if (!this.editor) return;
+
+      const snippets = modes.includes("snippets");
+
+      this.editor.completers = [
+        ...(snippets ? [langTools.snippetCompleter] : []),
+        langTools.textCompleter,
+        langTools.keyWordCompleter,
+        ...this.#completers,
+      ];
+
+      // NOTE: the completion popup is deliberately left in document.body (Ace's default) instead of our shadow root:
+      // Ace injects autocompletion.css into document.head and imports the popup's theme css into the popup's own root,
+      // so only there it is fully styled. Autocomplete copies theme and font size from this.editor on each show.
+      this.editor.setOptions({
+        enableBasicAutocompletion: modes.includes("basic") || snippets,
+        enableLiveAutocompletion: modes.includes("live"),
+        enableSnippets: snippets,
+      });
+    } catch (error) {
+      console.error(`❌ ace-web-component.js [${this.id}]:`, error);
+    }
+  }
+
+  /**
+   * Registers completer used only by this editor instance
+   *
+   * @param {Object} completer - Ace completer
+   * @param {Function} completer.getCompletions - (editor, session, pos, prefix, callback) => void
+   * @returns {Function} Function that unregisters the completer
+   * @description
+   * Completions are offered when the autocomplete attribute is set.
+   * Unlike langTools.addCompleter() it doesn't affect other editors on the page.
+   *
+   * @example
+   * const unregister = acecomp.registerCompleter({
+   *   getCompletions(editor, session, pos, prefix, callback) {
+   *     callback(null, ["users", "orders"].map((name) => ({ caption: name, value: name, meta: "table" })));
+   *   },
+   * });
+   */
+  registerCompleter(completer) {
+    if (!completer || typeof completer.getCompletions !== "function") {
+      throw new TypeError("ace-web-component.js: registerCompleter() expects an object with getCompletions() method");
+    }
+
+    if (!this.#completers.includes(completer)) {
+      this.#completers.push(completer);
+      this.#applyAutocomplete();
+    }
+
+    return () => this.unregisterCompleter(completer);
+  }
+
+  /**
+   * Removes completer added with registerCompleter()
+   * @param {Object} completer - Previously registered completer
+   */
+  unregisterCompleter(completer) {
+    const index = this.#completers.indexOf(completer);
+
+    if (index !== -1) {
+      this.#completers.splice(index, 1);
+      this.#applyAutocomplete();
+    }
+  }
+
+  /**
+   * Current vim mode ("NORMAL", "INSERT", "VISUAL", "VISUAL LINE", "VISUAL BLOCK")
+   * null when keybinding is not vim
+   * @type {string|null}
+   */
+  get vimMode() {
+    return this.#vimMode;
+  }
+
+  /**
+   * Builds the Ace options object from the options attribute/property and dedicated attributes
+   * @private
+   * @returns {Object} Options for editor.setOptions()
+   */
+  #collectOptions() {
+    const options = {};
+
+    Object.values(optionAttributes).forEach(({ option, default: value }) => {
+      if (value !== undefined) {
+        options[option] = value;
+      }
+    });
+
+    Object.assign(options, this.options);
+
+    Object.entries(optionAttributes).forEach(([attribute, { option, parse }]) => {
+      const value = this.getAttribute(attribute);
+      const parsed = value !== null ? parse(value) : undefined;
+      if (parsed !== undefined) {
+        options[option] = parsed;
+      }
+    });
+
+    return options;
+  }
+
+  /**
+   * Applies collected options to the editor
+   * @private
+   * @param {Object} [editor] - Ace editor instance (defaults to this.editor)
+   */
+  #applyOptions(editor = this.editor) {
+    if (!editor) return;
+
+    const options = this.#collectOptions();
+
+    // Keys dropped from the options attribute/property since the last call go back to Ace's initial value
+    this.#appliedOptionKeys.forEach((key) => {
+      if (!(key in options)) {
+        const initialValue = getInitialOptionValue(editor, key);
+        if (initialValue !== undefined) {
+          options[key] = initialValue;
+        }
+      }
+    });
+    this.#appliedOptionKeys = new Set(Object.keys(options));
+
+    editor.setOptions(options);
+
+    const container = this.shadowRoot?.querySelector(".ace-container");
+    if (container) {
+      container.classList.toggle("nowrap", options.wrap === false || options.wrap === "off");
+    }
+
+    if (this._heightUpdateFunction) {
+      this._heightUpdateFunction();
+    }
+  }
+
+  /**
+   * Extra Ace options passed to editor.setOptions()
+   *
+   * @type {Object}
+   * @description
+   * Parsed from the options attribute (JSON) unless set through this property.
+   * Dedicated attributes (tab-size, wrap, ...) override the same keys.
+   *
+   * @example
+   * acecomp.options = { highlightActiveLine: false, scrollPastEnd: 0.5 };
+   */
+  get options() {
+    if (this.#options) {
+      return this.#options;
+    }
+
+    const json = this.getAttribute("options");
+    if (!json) {
+      return {};
+    }
+
+    try {
+      const parsed = JSON.parse(json);
+      return parsed && typeof parsed === "object" ? parsed : {};
+    } catch (e) {
+      console.error(`❌ ace-web-component.js: Invalid JSON in options attribute of [${this.id}]:`, e);
+      return {};
+    }
+  }
+
+  set options(options) {
+    if (typeof options === "string") {
+      this.#options = null;
+      this.setAttribute("options", options);
+      return;
+    }
+
+    this.#options = options && typeof options === "object" ? { ...options } : null;
+    this.#applyOptions();
+  }
+
+  /**
+   * Pushes the current value and validity state to the owning <form>
+   * @private
+   */
+  #updateFormValue() {
+    if (!this.#internals) return;
+
+    // Before the editor exists, submit whatever it is going to be initialized with
+    const value = this.editor ? this.editor.getValue() : this.#pendingContent();
+
+    this.#internals.setFormValue(value);
+
+    const anchor = this.shadowRoot?.querySelector(".ace-container") || undefined;
+    // Only syntax errors of the worker - setDiagnostics()/linter errors don't block submission
+    const syntaxError = this.hasAttribute("validate")
+      ? this.#workerAnnotations.find((annotation) => annotation.type === "error")
+      : undefined;
+
+    if (this.hasAttribute("required") && !value) {
+      this.#internals.setValidity({ valueMissing: true }, "Please fill out this field.", anchor);
+    } else if (syntaxError) {
+      this.#internals.setValidity(
+        { customError: true },
+        `Syntax error on line ${syntaxError.row + 1}: ${syntaxError.text}`,
+        anchor
+      );
+    } else {
+      this.#internals.setValidity({});
+    }
+  }
+
+  /**
+   * Called by the browser when the owning <form> is reset
+   * Restores the content the editor was initialized with
+   */
+  formResetCallback() {
+    this.value = this.initialContent || "";
+  }
+
+  /**
+   * Called by the browser when the element (or its <fieldset>) becomes disabled/enabled
+   * @param {boolean} disabled - Whether the element is now disabled
+   */
+  formDisabledCallback(disabled) {
+    this.#formDisabled = disabled;
+
+    if (this.editor) {
+      this.editor.setReadOnly(disabled || this.hasAttribute("readonly"));
+    }
+  }
+
+  /**
+   * Called by the browser on back/forward navigation or autofill
+   * @param {string|File|FormData|null} state - Previously submitted value
+   */
+  formStateRestoreCallback(state) {
+    if (typeof state === "string") {
+      this.value = state;
+    }
+  }
+
+  /**
+   * The <form> this editor is associated with
+   * @type {HTMLFormElement|null}
+   */
+  get form() {
+    return this.#internals ? this.#internals.form : null;
+  }
+
+  /**
+   * Name under which the value is submitted (reflects the name attribute)
+   * @type {string}
+   */
+  get name() {
+    return this.getAttribute("name") || "";
+  }
+
+  set name(name) {
+    this.setAttribute("name", name);
+  }
+
+  /**
+   * Reflects the required attribute
+   * @type {boolean}
+   */
+  get required() {
+    return this.hasAttribute("required");
+  }
+
+  set required(required) {
+    this.toggleAttribute("required", Boolean(required));
+  }
+
+  /**
+   * Reflects the disabled attribute
+   * @type {boolean}
+   */
+  get disabled() {
+    return this.hasAttribute("disabled");
+  }
+
+  set disabled(disabled) {
+    this.toggleAttribute("disabled", Boolean(disabled));
+  }
+
+  /**
+   * @type {ValidityState|undefined}
+   */
+  get validity() {
+    return this.#internals?.validity;
+  }
+
+  /**
+   * @type {string}
+   */
+  get validationMessage() {
+    return this.#internals ? this.#internals.validationMessage : "";
+  }
+
+  /**
+   * @type {boolean}
+   */
+  get willValidate() {
+    return this.#internals ? this.#internals.willValidate : false;
+  }
+
+  /**
+   * @returns {boolean} true when the editor satisfies its constraints
+   */
+  checkValidity() {
+    return this.#internals ? this.#internals.checkValidity() : true;
+  }
+
+  /**
+   * Same as checkValidity() but also shows the browser's validation bubble
+   * @returns {boolean} true when the editor satisfies its constraints
+   */
+  reportValidity() {
+    return this.#internals ? this.#internals.reportValidity() : true;
+  }
+
+  disconnectedCallback() {
+    // keep-alive editors are torn down only by destroy()
+    if (this.hasAttribute("keep-alive")) {
+      log(`💤 Ace Editor [${this.id}] disconnected, kept alive`);
+      return;
+    }
+
+    // Moves (removal + insertion in the same task) reconnect before the microtask runs
+    this.#teardownPending = true;
+    queueMicrotask(() => {
+      if (this.#teardownPending && !this.isConnected) {
+        this.destroy();
+      }
+    });
+  }
+
+  // Atomic moves (Element.moveBefore) keep the element connected - nothing to do
+  connectedMoveCallback() {}
+
+  /**
+   * Destroys Ace instance, stops all observers and unregisters the ID
+   *
+   * @description
+   * Called automatically when the element is removed from the document (not when it's moved),
+   * needed explicitly only for elements with keep-alive attribute.
+   * Connecting the element again initializes a fresh editor.
+   *
+   * @example
+   * acecomp.remove();
+   * acecomp.destroy(); // keep-alive editor is not needed anymore
+   */
+  destroy() {
+    if (!this.#alive) return;
+
+    this.#alive = false;
+    this.#teardownPending = false;
+
+    clearTimeout(this.#lintTimer);
+
+    // Save pending changes before the editor is destroyed
+    if (this.#persistTimer) {
+      this.#persist();
+    }
+    window.removeEventListener("pagehide", this.#persistOnPageHide);
+
+    if (this.#unsubscribeColorScheme) {
+      this.#unsubscribeColorScheme();
+      this.#unsubscribeColorScheme = null;
+    }
+
+    this.#disconnectLazyObserver();
+    this.#initialize = null;
+
+    if (this.#unsubscribeLateScripts) {
+      this.#unsubscribeLateScripts();
+      this.#unsubscribeLateScripts = null;
+    }
+
+    if (this.#onFullscreenChange) {
+      this.removeEventListener("fullscreenchange", this.#onFullscreenChange);
+      this.#onFullscreenChange = null;
+    }
+
+    // Marker ids, folds and annotations belong to the destroyed session - ids restart at 1 in the next one
+    this.#detachDiagnosticRanges();
+    this.#diagnosticMarkers = [];
+    this.#lineMarkers = [];
+    this.#lineFolds = [];
+    this.#linkMarker = null;
+    this.#workerAnnotations = [];
+    this.#vimMode = null;
+    this.#appliedOptionKeys = new Set();
+    // Results of a lint still running would land in the next session
+    this.#lintRun++;
+
+    if (this.editor) {
+      this.editor.destroy();
+      this.editor = null;
     }
+    this._heightUpdateFunction = null;
 
-    const shadow = this.attachShadow({ mode: "open" });
+    // Connecting again initializes a new editor - it gets its own ready promise and 'ace-ready'
+    this.#resetReady();
+
+    if (this._unregisterStyles) {
+      this._unregisterStyles();
+      this._unregisterStyles = null;
+    }
+
+    // Unregister ID when component is removed (duplicates kept by warn/allow policy never registered it)
+    if (this.#registeredId) {
+      unregisterEditorId(this.#registeredId);
+      this.#registeredId = null;
+    }
+
+    log(`🔌 Ace Editor component destroyed: ${this.id || "unnamed"}`);
+  }
+
+  /**
+   * Get the native Ace Editor instance
+   *
+   * @returns {Object} The underlying Ace Editor instance
+   * @description
+   * Provides access to advanced Ace Editor features not exposed by the component API
+   *
+   * @example
+   * // Find text in the editor
+   * editor.getEditor().find('search term', { backwards: false })
+   */
+  getEditor() {
+    // Lazy editor is initialized on demand (available after onLoad)
+    this.#initialize?.();
+
+    return this.editor;
+  }
+
+  /**
+   * Property getter for editor content
+   *
+   * @type {string}
+   * @description
+   * Reads the current editor content
+   * Before the editor is loaded it returns the content the editor is going to be initialized with
+   */
+  get value() {
+    if (this.editor) {
+      return this.editor.getValue();
+    }
+
+    // Lazy editor is initialized on demand
+    this.#initialize?.();
+
+    return this.#pendingContent();
+  }
+
+  /**
+   * Property setter for editor content
+   *
+   * @param {string} value - New content for the editor
+   * @description
+   * Sets the editor content without firing an 'input' event
+   * Matches native textarea behavior
+   * Applied as minimal edit: cursor, selection, scroll position and undo history are kept
+   *
+   * @example
+   * // Set editor content
+   * acecomp.value = 'new code';
+   */
+  set value(value) {
+    if (this.editor) {
+      this.#applyExternalValue(value ?? "");
+
+      // For programmatic updates via setValue(), bypass readonly check
+      this._pendingValue = null;
+    } else {
+      this.#propertyValue = value ?? "";
+
+      const placeholder = this.shadowRoot?.querySelector(".lazy-placeholder");
+      if (placeholder) {
+        placeholder.textContent = this.#propertyValue;
+      }
+
+      // Lazy editor is initialized on demand
+      this.#initialize?.();
+    }
+
+    this.#updateFormValue();
+  }
+}
+
+// Register the custom element
+customElements.define("ace-editor", AceEditorComponent);
+
+/**
+ * Web Component for Ace diff view (ext-diff)
+ *
+ * @description
+ * Shows differences between original and modified content side by side (mode="split", default)
+ * or interleaved in a single editor (mode="inline"). Uses the same Ace loader as <ace-editor>.
+ * The modified side is editable, each change (hunk) can be accepted or reverted.
+ *
+ * @example
+ * <ace-diff lang="json" original='{"a": 1}' modified='{"a": 2}'></ace-diff>
+ *
+ * @example
+ * <ace-diff mode="inline" lang="yaml">
+ *   <script type="ace" slot="original">
+ *     replicas: 1
+ *   </script>
+ *   <script type="ace" slot="modified">
+ *     replicas: 3
+ *   </script>
+ * </ace-diff>
+ *
+ * @property {string} [original] - Original content (left side / removed lines)
+ * @property {string} [modified] - Modified content (right side / added lines)
+ * @property {string} [mode='split'] - "split" or "inline"
+ * @property {string} [lang='javascript'] - Programming language mode
+ * @property {string} [theme='idle_fingers'] - Editor color theme
+ *
+ * Content Priority (from highest to lowest), for each side:
+ * 1. original/modified property
+ * 2. original/modified attribute
+ * 3. <script type="ace" slot="original|modified"> - dedented, HTML entities decoded (same rules as <ace-editor>)
+ *
+ * Events:
+ * - change: detail { value, original, modified, action } - value is the merged result (modified side)
+ *   after each edit, accept or revert
+ *
+ * Height is controlled with --ace-diff-height CSS custom property (default 400px)
+ * Same styling hooks as <ace-editor>: ::part(wrapper|loading|container|error|toolbar) and --ace-editor-* properties
+ */
+export class AceDiffComponent extends HTMLElement {
+  #original = null;
+  #modified = null;
+  #diffView = null;
+  #currentChunk = 0;
+  #isProgrammaticChange = false;
+  #resizeObserver = null;
+  #unregisterStyles = null;
+  #diffModule = null;
+  #connected = false;
+  #teardownPending = false;
+
+  static get observedAttributes() {
+    return ["original", "modified", "mode", "lang", "theme"];
+  }
+
+  connectedCallback() {
+    // Moved to a new location - keep the running diff view (and its unsaved edits)
+    if (this.#connected) {
+      this.#teardownPending = false;
+      return;
+    }
+
+    const aceEditorUrl = getAceEditorUrl();
+
+    if (!hasAceSource()) {
+      reportMissingAceSource();
+      return;
+    }
+
+    this.#connected = true;
+
+    const shadow = this.shadowRoot || this.attachShadow({ mode: "open" });
 
-    // Create structure immediately with loading state
     shadow.innerHTML = `
         <style>
           :host {
             display: block;
             width: 100%;
           }
-          .ace-wrapper {
-            // height: 22px;
-            border: 1px solid #999;
+          .diff-wrapper {
+            border: var(--ace-editor-border, 1px solid #999);
+            border-radius: var(--ace-editor-radius, 0);
+            overflow: hidden;
             display: flex;
             flex-direction: column;
+          }
+          .diff-toolbar {
+            display: flex;
+            gap: 4px;
             align-items: center;
-            justify-content: center;
-            // min-height: 200px;
+            padding: 4px;
+            font-family: sans-serif;
+            font-size: 12px;
+            background: #f0f0f0;
+            border-bottom: 1px solid #999;
           }
-          .ace-wrapper.loaded {
-            background: transparent;
-            border: none;
+          .diff-toolbar button {
+            font-size: 12px;
+            cursor: pointer;
+          }
+          .diff-status {
+            flex: 1;
+            color: #555;
           }
           .loading-message {
             font-weight: bold;
             color: #666;
             font-size: 14px;
             margin: 0;
+            padding: 10px;
           }
-          .ace-container {
-            position: relative;
-            width: 100%;
+          .diff-container {
+            display: flex;
+            height: var(--ace-diff-height, 400px);
           }
-          /* Hide horizontal scrollbar since we use wrap mode */
-          .ace_scrollbar-h {
-            display: none !important;
+          .diff-container > .ace_editor {
+            flex: 1;
+            height: 100%;
+            font-family: var(--ace-editor-font-family, Monaco, Menlo, "Ubuntu Mono", Consolas, "Source Code Pro", source-code-pro, monospace);
+            font-size: var(--ace-editor-font-size, 12px);
           }
         </style>
-        <div class="ace-wrapper">
-          <p class="loading-message">Loading Ace Editor...</p>
-          <div class="ace-container"></div>
+        <div class="diff-wrapper" part="wrapper">
+          <div class="diff-toolbar" part="toolbar">
+            <button type="button" data-action="previous" title="Previous change">▲</button>
+            <button type="button" data-action="next" title="Next change">▼</button>
+            <span class="diff-status"></span>
+            <button type="button" data-action="accept" title="Accept change (keep modified)">✔ Accept</button>
+            <button type="button" data-action="revert" title="Revert change (restore original)">↺ Revert</button>
+          </div>
+          <p class="loading-message" part="loading">Loading Ace Editor...</p>
+          <div class="diff-container" part="container"></div>
         </div>
       `;
 
-    const componentId = this.id;
+    shadow.querySelector(".diff-toolbar").addEventListener("click", (e) => {
+      const action = e.target.closest("button")?.dataset.action;
+
+      switch (action) {
+        case "previous":
+          this.previousChunk();
+          break;
+        case "next":
+          this.nextChunk();
+          break;
+        case "accept":
+          this.acceptChunk();
+          break;
+        case "revert":
+          this.revertChunk();
+          break;
+      }
+    });
 
-    // Load Ace and initialize
     (async () => {
       try {
-        const ace = await loadAceEditor(this.aceUrl);
-        await this.initializeEditor(ace);
+        const ace = await loadAceEditor(aceEditorUrl);
+        this.#diffModule = await loadAceExtension("diff", aceEditorUrl);
+
+        // Element might have been removed while loading
+        if (!this.#connected) return;
+
+        shadow.querySelector(".loading-message").style.display = "none";
+
+        this.#render(ace);
+
+        // Share Ace styles (injected into document.head) with the shadow DOM
+        this.#unregisterStyles = registerAceStyleRoot(shadow);
       } catch (error) {
-        console.error(`❌ Failed to initialize Ace Editor ${componentId}:`, error);
+        console.error(`❌ Failed to initialize Ace diff ${this.id || "unnamed"}:`, error);
+        dispatchLoadError(this, error);
         const label = shadow.querySelector(".loading-message");
         if (label) {
           label.textContent = "❌ Failed to load Ace Editor";
           label.style.color = "#555";
+          label.part.replace("loading", "error");
         }
       }
     })();
   }
 
-  async initializeEditor(ace) {
-    const shadow = this.shadowRoot;
-    const wrapper = shadow.querySelector(".ace-wrapper");
-    const container = shadow.querySelector(".ace-container");
-    const label = shadow.querySelector(".loading-message");
-
-    // Wait until the component becomes visible to avoid initialization issues with hidden elements
-    if (!visible(container)) {
-      log(`⏳ Ace Editor [${this.id}] is not visible yet, waiting for visibility before initialization...`);
-      await new Promise((resolve) => {
-        const observer = new ResizeObserver(() => {
-          if (visible(container)) {
-            observer.disconnect();
-            resolve();
-          }
-        });
-        observer.observe(container);
-      });
-    }
+  /**
+   * Creates editors and the diff view for the current mode (replacing the previous one)
+   * @private
+   * @param {Object} ace - window.ace
+   */
+  #render(ace) {
+    const container = this.shadowRoot.querySelector(".diff-container");
+    const inline = this.getAttribute("mode") === "inline";
 
-    // Update UI to show loaded state
-    label.textContent = "Ace Editor Loaded!";
-    setTimeout(() => {
-      label.style.display = "none";
-      wrapper.classList.add("loaded");
-    }, 500);
+    // Keep edits made so far when switching between split and inline mode
+    const original = this.original;
+    const modified = this.modified;
 
-    // Initialize Ace Editor
-    const editor = ace.edit(container);
-    editor.renderer.setPadding(0);
-    editor.renderer.setScrollMargin(0, 0, 0, 0);
+    this.#destroyView();
 
-    // Flag to track if we're in a programmatic update (to suppress 'input' event)
-    // Initialize early so we can use it during initial content setting
-    this._isProgrammaticChange = false;
+    const createEditor = (value) => {
+      const element = document.createElement("div");
+      container.appendChild(element);
+      const editor = ace.edit(element);
+      editor.getSession().setUseWorker(false);
+      editor.getSession().setMode(`ace/mode/${resolveAceMode(this.getAttribute("lang"))}`);
+      editor.setTheme(`ace/theme/${this.getAttribute("theme") || "idle_fingers"}`);
+      editor.setValue(value, -1);
+      return editor;
+    };
 
-    // CRITICAL: Adopt document stylesheets into shadow DOM
-    // Ace injects its styles into document.styleSheets dynamically
-    // We need to copy those styles into the shadow DOM
-    const adoptStylesheets = () => {
-      // Get all document stylesheets that Ace has created
-      const aceStyleSheets = Array.from(document.styleSheets).filter((sheet) => {
-        try {
-          // Check if it's an Ace-related stylesheet
-          const ownerNode = sheet.ownerNode;
+    // Inline mode shows the modified text with removed lines interleaved
+    const editorA = inline ? undefined : createEditor(original);
+    const editorB = createEditor(modified);
 
-          // Ace creates style tags dynamically
-          if (ownerNode && ownerNode.tagName === "STYLE") {
-            const content = ownerNode.textContent || "";
-            // Check if it contains Ace-specific classes
-            if (content.includes(".ace_") || content.includes("ace-")) {
-              return true;
-            }
-          }
+    // Original side is changed only through acceptChunk()
+    editorA?.setReadOnly(true);
 
-          return false;
-        } catch (e) {
-          return false;
-        }
-      });
+    this.#diffView = this.#diffModule.createDiffView({
+      editorA,
+      editorB,
+      valueA: original,
+      inline: inline ? "b" : undefined,
+    });
+    // In inline mode the original session is created by the diff view itself
+    this.#diffView.sessionA.setMode(`ace/mode/${resolveAceMode(this.getAttribute("lang"))}`);
+    this.#diffView.onInput();
 
-      // For browsers that support adoptedStyleSheets
-      if (shadow.adoptedStyleSheets === undefined) {
-        // Fallback: copy styles manually
-        copyStylesManually();
-      } else {
-        try {
-          shadow.adoptedStyleSheets = [...aceStyleSheets];
-        } catch (e) {
-          // Expected error: Ace creates regular <style> tags, not constructed stylesheets
-          // console.log("Could not adopt stylesheets:", e);
-          // Fallback: copy styles manually
-          copyStylesManually();
-        }
+    editorB.getSession().on("change", () => {
+      if (!this.#isProgrammaticChange) {
+        this.#dispatchChange("edit");
       }
+    });
 
-      function copyStylesManually() {
-        aceStyleSheets.forEach((sheet) => {
-          try {
-            const styleEl = document.createElement("style");
-            const rules = Array.from(sheet.cssRules || sheet.rules || []);
-            styleEl.textContent = rules.map((rule) => rule.cssText).join("\n");
-            shadow.appendChild(styleEl);
-          } catch (e) {
-            log("Could not copy stylesheet:", e);
-          }
-        });
+    // Chunk under the cursor becomes the current one for accept/revert
+    editorB.selection.on("changeCursor", () => {
+      const row = editorB.getCursorPosition().row;
+      const index = this.chunks.findIndex(
+        (chunk) => row >= chunk.new.start.row && row < Math.max(chunk.new.end.row, chunk.new.start.row + 1)
+      );
+      if (index !== -1) {
+        this.#currentChunk = index;
+        this.#updateStatus();
       }
-    };
+    });
 
-    // Get configuration from attributes
-    let lang = this.getAttribute("lang") || "javascript";
-    const theme = this.getAttribute("theme") || "idle_fingers";
-    const readonly = this.hasAttribute("readonly");
+    this.#resizeObserver = new ResizeObserver(() => {
+      editorA?.resize();
+      editorB.resize();
+    });
+    this.#resizeObserver.observe(container);
 
-    // Map short language names to full Ace mode names
-    if (lang === "js") lang = "javascript";
-    if (lang === "ts") lang = "typescript";
-    if (lang === "bash") lang = "sh";
+    this.#currentChunk = 0;
+    this.#updateStatus();
+  }
 
-    // Configure editor
-    const session = editor.getSession();
-    session.setUseWorker(false); // disable loading worker-javascript.js
-    session.setTabSize(4);
-    session.setUseWrapMode(true);
+  /**
+   * Destroys diff view and its editors
+   * @private
+   */
+  #destroyView() {
+    if (this.#resizeObserver) {
+      this.#resizeObserver.disconnect();
+      this.#resizeObserver = null;
+    }
 
-    editor.setTheme(`ace/theme/${theme}`);
-    session.setMode(`ace/mode/${lang}`);
+    if (this.#diffView) {
+      this.#diffView.destroy();
+      this.#diffView = null;
+    }
 
-    // // Hide horizontal scrollbar since we're using wrap mode
-    // editor.setOption("hScrollBarAlwaysVisible", false);
+    this.shadowRoot?.querySelector(".diff-container")?.replaceChildren();
+  }
 
-    // Additional scrollbar configuration
-    editor.renderer.setScrollMargin(0, 0, 0, 0);
+  /**
+   * Reads content of one side from attribute or <script type="ace" slot="...">
+   * @private
+   * @param {string} side - "original" or "modified"
+   * @returns {string}
+   */
+  #readContent(side) {
+    const attribute = this.getAttribute(side);
 
-    if (readonly) {
-      editor.setReadOnly(true);
+    if (typeof attribute === "string") {
+      return attribute;
     }
 
-    // Set initial content from multiple sources
-    // Priority: value attribute > <script type="ace"> > textContent > content attribute
-    if (typeof this.initialContent !== "string" || !this.initialContent) {
-      this.initialContent = "";
-    }
-
-    const value = this.getAttribute("value");
-    // Check for value attribute first
-    if (typeof value === "string" && value) {
-      this.initialContent = value;
-    }
-    // Check for <script> tag
-    else {
-      const scriptTag = this.querySelector("script");
-      if (scriptTag) {
-        if (typeof scriptTag.textContent === "string" && scriptTag.textContent) {
-          this.initialContent = scriptTag.textContent;
-        }
-      } else {
-        const content = this.getAttribute("content");
-        if (typeof this.textContent === "string" && this.textContent) {
-          const k = this.textContent;
-          this.initialContent = k;
-        } else if (typeof content === "string" && content) {
-          this.initialContent = content;
+    let content = this.querySelector(`script[slot="${side}"]`)?.textContent || "";
+
+    if (content && !this.hasAttribute("data-nolt")) {
+      content = unescapeHtmlEntities(content);
+    }
+
+    if (content && !this.hasAttribute("data-notrim")) {
+      content = dedent(content);
+    }
+
+    return content;
+  }
+
+  /**
+   * Replaces content of one side without firing 'change'
+   * @private
+   * @param {string} side - "original" or "modified"
+   * @param {string} value
+   */
+  #setSide(side, value) {
+    const session = side === "original" ? this.#diffView?.sessionA : this.#diffView?.sessionB;
+
+    if (!session || session.getValue() === value) return;
+
+    this.#isProgrammaticChange = true;
+    session.setValue(value);
+    this.#isProgrammaticChange = false;
+  }
+
+  /**
+   * Shows "change N of M" in the toolbar
+   * @private
+   */
+  #updateStatus() {
+    const status = this.shadowRoot?.querySelector(".diff-status");
+    if (!status) return;
+
+    const count = this.chunks.length;
+
+    status.textContent = count ? `Change ${Math.min(this.#currentChunk, count - 1) + 1} of ${count}` : "No changes";
+  }
+
+  /**
+   * Dispatches 'change' event with the merged result
+   * @private
+   * @param {string} action - "edit", "accept" or "revert"
+   */
+  #dispatchChange(action) {
+    this.dispatchEvent(
+      new CustomEvent("change", {
+        bubbles: true,
+        detail: {
+          value: this.value,
+          original: this.original,
+          modified: this.modified,
+          action,
+        },
+      })
+    );
+  }
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (!this.#diffView) return;
+
+    switch (name) {
+      case "original":
+      case "modified":
+        // Properties take precedence over attributes
+        if ((name === "original" ? this.#original : this.#modified) === null) {
+          this.#setSide(name, newValue || "");
         }
+        break;
+      case "mode":
+        this.#render(loadedAce);
+        break;
+      case "lang":
+        this.#diffView.sessionA.setMode(`ace/mode/${resolveAceMode(newValue)}`);
+        this.#diffView.sessionB.setMode(`ace/mode/${resolveAceMode(newValue)}`);
+        break;
+      case "theme":
+        this.#diffView.setTheme(`ace/theme/${newValue || "idle_fingers"}`);
+        break;
+    }
+  }
+
+  disconnectedCallback() {
+    // Moves (removal + insertion in the same task) reconnect before the microtask runs
+    this.#teardownPending = true;
+    queueMicrotask(() => {
+      if (!this.#teardownPending || this.isConnected) return;
+
+      this.#teardownPending = false;
+      this.#connected = false;
+      this.#destroyView();
+
+      if (this.#unregisterStyles) {
+        this.#unregisterStyles();
+        this.#unregisterStyles = null;
       }
+    });
+  }
+
+  // Atomic moves (Element.moveBefore) keep the element connected - nothing to do
+  connectedMoveCallback() {}
+
+  /**
+   * Original content
+   * @type {string}
+   */
+  get original() {
+    if (this.#diffView) return this.#diffView.sessionA.getValue();
+    return this.#original ?? this.#readContent("original");
+  }
+
+  set original(value) {
+    this.#original = value ?? "";
+    this.#setSide("original", this.#original);
+  }
+
+  /**
+   * Modified content
+   * @type {string}
+   */
+  get modified() {
+    if (this.#diffView) return this.#diffView.sessionB.getValue();
+    return this.#modified ?? this.#readContent("modified");
+  }
+
+  set modified(value) {
+    this.#modified = value ?? "";
+    this.#setSide("modified", this.#modified);
+  }
+
+  /**
+   * Merged result: modified content with reverted changes restored to the original
+   * @type {string}
+   */
+  get value() {
+    return this.modified;
+  }
 
-      if (!this.initialContent) {
-        this.initialContent = "";
-      }
+  /**
+   * Changes between original and modified content
+   * Each chunk has old/new Ace ranges (rows are 0-based, end row exclusive)
+   * @type {Array<{old: Object, new: Object}>}
+   */
+  get chunks() {
+    return this.#diffView?.chunks || [];
+  }
 
-      // Decode HTML entities ONLY when reading from static content (not from value attribute)
-      // and ONLY if data-nolt attribute is NOT present
-      // This allows writing &lt;/script&gt; inside <script> without prematurely closing the tag
-      if (this.initialContent && !this.hasAttribute("data-nolt")) {
-        this.initialContent = unescapeHtmlEntities(this.initialContent);
-      }
-    }
+  /**
+   * Get the native Ace DiffView instance
+   * @returns {Object|null}
+   */
+  getDiffView() {
+    return this.#diffView;
+  }
 
-    // Apply dedent logic unless data-notrim is present
-    // Removes common leading whitespace from all lines
-    if (this.initialContent && !this.hasAttribute("data-notrim")) {
-      let diff = Number.MAX_SAFE_INTEGER;
+  /**
+   * Scrolls to the change and makes it the current one
+   * @param {number} index - Index in chunks
+   */
+  goToChunk(index) {
+    const chunks = this.chunks;
+    if (!chunks.length) return;
 
-      let tmp = this.initialContent.split("\n");
+    this.#currentChunk = Math.min(Math.max(index, 0), chunks.length - 1);
 
-      tmp.forEach((line) => {
-        if (!/^\s*$/.test(line)) {
-          // if line isn't just white characters
-          const length_before = line.length;
+    const editor = this.#diffView.editorB;
+    const row = chunks[this.#currentChunk].new.start.row;
 
-          const length_after = line.replace(/^\s+/, "").length;
+    editor.gotoLine(row + 1, 0, false);
+    editor.scrollToLine(row, true, true);
+    editor.focus();
 
-          const d = length_before - length_after;
+    this.#updateStatus();
+  }
 
-          if (d < diff) {
-            diff = d;
-          }
-        }
-      });
+  /**
+   * Moves to the next change
+   */
+  nextChunk() {
+    this.goToChunk(this.#currentChunk + 1);
+  }
 
-      if (diff !== Number.MAX_SAFE_INTEGER && diff > 0) {
-        tmp = tmp.map((line) => line.substring(diff));
+  /**
+   * Moves to the previous change
+   */
+  previousChunk() {
+    this.goToChunk(this.#currentChunk - 1);
+  }
 
-        this.initialContent = tmp.join("\n");
-      }
-    }
+  /**
+   * Accepts change: original side takes the modified text, so the change disappears from the diff
+   * @param {number} [index] - Index in chunks, defaults to the current change
+   */
+  acceptChunk(index = this.#currentChunk) {
+    this.#applyChunk(index, "accept");
+  }
 
-    // Set initial content (suppress 'input' event for initialization)
-    if (this.initialContent) {
-      this._isProgrammaticChange = true;
-      editor.setValue(this.initialContent, -1); // -1 moves cursor to start
-      editor.clearSelection();
-      this._isProgrammaticChange = false;
-    }
+  /**
+   * Reverts change: modified side takes the original text back
+   * @param {number} [index] - Index in chunks, defaults to the current change
+   */
+  revertChunk(index = this.#currentChunk) {
+    this.#applyChunk(index, "revert");
+  }
 
-    // Store data-eval info for later execution (after full initialization)
-    const shouldEval = this.hasAttribute("data-eval");
-    const dataEvalValue = this.getAttribute("data-eval");
-    const codeToEval = this.initialContent;
+  /**
+   * Copies chunk text from one side to the other
+   * @private
+   * @param {number} index - Index in chunks
+   * @param {string} action - "accept" or "revert"
+   */
+  #applyChunk(index, action) {
+    const chunk = this.chunks[index];
+    if (!chunk) return;
 
-    // Remove data-eval attribute to prevent re-execution
-    if (shouldEval) {
-      this.removeAttribute("data-eval");
-    }
+    const { sessionA, sessionB } = this.#diffView;
 
-    // Auto-resize to fit content
-    const heightUpdateFunction = () => {
-      // Calculate height based on content only (horizontal scrollbar is hidden)
-      const contentHeight = session.getScreenLength() * editor.renderer.lineHeight;
+    this.#isProgrammaticChange = true;
+    if (action === "accept") {
+      sessionA.replace(chunk.old, sessionB.getTextRange(chunk.new));
+    } else {
+      sessionB.replace(chunk.new, sessionA.getTextRange(chunk.old));
+    }
+    this.#isProgrammaticChange = false;
 
-      // Check for min-height constraints
-      const minHeightPx = this.getAttribute("min-height-px");
-      const minHeightLines = this.getAttribute("min-height-lines");
+    // Recompute now so the next action sees fresh chunks
+    this.#diffView.onInput();
+    this.#currentChunk = Math.min(index, Math.max(this.chunks.length - 1, 0));
+    this.#updateStatus();
 
-      let minHeight = 0;
-      if (minHeightPx) {
-        minHeight = parseInt(minHeightPx, 10);
-      } else if (minHeightLines) {
-        minHeight = parseInt(minHeightLines, 10) * editor.renderer.lineHeight;
-      }
+    this.#dispatchChange(action);
+  }
+}
 
-      const finalHeight = Math.max(contentHeight, minHeight); //+ 16; // correction
-      container.style.height = finalHeight + "px";
-      editor.resize();
-    };
+customElements.define("ace-diff", AceDiffComponent);
 
-    // Update size on content change and dispatch input event
-    session.on("change", () => {
-      heightUpdateFunction();
+// Stylesheets produced by ext-static_highlight (theme + static css), shared by all <ace-highlight> elements
+const highlightStyleSheets = new Map();
 
-      // Only dispatch input event for user interactions, not programmatic changes
-      // This matches native textarea/input behavior where element.value = "..." does NOT fire 'input'
-      if (!this._isProgrammaticChange) {
-        this.dispatchEvent(new Event("input", { bubbles: true }));
-      }
-    });
+/**
+ * Web Component rendering read-only, syntax highlighted snippets (ext-static_highlight)
+ *
+ * @description
+ * Lightweight alternative to <ace-editor readonly> for pages with many snippets:
+ * renders plain tokenized HTML - no live editor, no observers, one shared stylesheet per theme.
+ * Content rules are the same as for <ace-editor> (value attribute, <script type="ace">, dedent, data-nolt).
+ *
+ * @example
+ * <ace-highlight lang="js" theme="github">
+ *   <script type="ace">
+ *     const answer = 42;
+ *   </script>
+ * </ace-highlight>
+ *
+ * @property {string} [lang='javascript'] - Programming language mode
+ * @property {string} [theme='idle_fingers'] - Color theme
+ * @property {string} [value] - Content (takes precedence over <script type="ace"> and text content)
+ * @property {boolean} [show-gutter=true] - Show line numbers, show-gutter="false" hides them
+ * @property {boolean} [click-to-edit] - Clicking the snippet replaces it in place with a full <ace-editor>
+ *
+ * Styling: ::part(loading) (plain text placeholder), ::part(container) and --ace-editor-* custom properties
+ */
+export class AceHighlightComponent extends HTMLElement {
+  #content = null;
+  #renderId = 0;
+  #upgradedTo = null;
 
-    // Store reference for attribute changes
-    this._heightUpdateFunction = heightUpdateFunction;
+  static get observedAttributes() {
+    return ["value", "lang", "theme", "show-gutter"];
+  }
 
-    // Wait for Ace to inject its styles, then adopt them
-    setTimeout(() => {
-      adoptStylesheets();
-      // Set initial size AFTER styles are adopted
-      setTimeout(heightUpdateFunction, 50);
-    }, 100);
-
-    // Also set up a MutationObserver to catch styles added later
-    const styleObserver = new MutationObserver((mutations) => {
-      mutations.forEach((mutation) => {
-        if (mutation.addedNodes) {
-          mutation.addedNodes.forEach((node) => {
-            if (node.tagName === "STYLE" && node.textContent && node.textContent.includes(".ace_")) {
-              // New Ace style detected, adopt it
-              adoptStylesheets();
-              setTimeout(heightUpdateFunction, 50);
-            }
-          });
-        }
-      });
+  constructor() {
+    super();
+    // Registered once - connectedCallback runs again on every DOM move
+    this.addEventListener("click", () => {
+      if (this.hasAttribute("click-to-edit")) {
+        this.upgrade();
+      }
     });
+  }
 
-    styleObserver.observe(document.head, { childList: true });
-    this._styleObserver = styleObserver;
-
-    // Store editor reference
-    this.editor = editor;
+  connectedCallback() {
+    const shadow = this.shadowRoot || this.attachShadow({ mode: "open" });
 
-    // Store pending value that was blocked by readonly
-    this._pendingValue = null;
+    if (this.#content === null) {
+      this.#content = readElementContent(this);
+    }
 
-    const triggerReady = () => {
-      // Dispatch custom 'aceOnLoad' event
-      this.dispatchEvent(
-        new CustomEvent("aceOnLoad", {
-          bubbles: true,
-          detail: {
-            component: this,
-            editor: this.editor,
-            id: this.id,
-          },
-        })
-      );
-      Promise.resolve().then(() => {
-        this._triggerLoadEvent();
-      });
-    };
+    // Plain text placeholder keeps the layout stable until highlighting is ready
+    shadow.innerHTML = `
+        <style>
+          :host {
+            display: block;
+            width: 100%;
+          }
+          :host([click-to-edit]) {
+            cursor: text;
+          }
+          .placeholder {
+            margin: 0;
+            font-family: var(--ace-editor-font-family, monospace);
+            font-size: var(--ace-editor-font-size, 12px);
+            white-space: pre-wrap;
+          }
+          .highlight .ace_static_highlight {
+            font-family: var(--ace-editor-font-family, Monaco, Menlo, "Ubuntu Mono", Consolas, "Source Code Pro", source-code-pro, "Droid Sans Mono", monospace);
+            font-size: var(--ace-editor-font-size, 12px);
+            border: var(--ace-editor-border, none);
+            border-radius: var(--ace-editor-radius, 0);
+          }
+        </style>
+        <pre class="placeholder" part="loading"></pre>
+        <div class="highlight" part="container"></div>
+      `;
+    shadow.querySelector(".placeholder").textContent = this.#content;
 
-    // Execute data-eval code AFTER everything is fully initialized
-    // This ensures this.editor is set and getValue() works correctly
-    if (shouldEval && codeToEval) {
-      // Wait for next tick to ensure all initialization is complete
-      setTimeout(() => {
-        // Determine script type:
-        // - data-eval="module" -> type="module"
-        // - data-eval or data-eval="" -> regular script (no type attribute)
-        const scriptType = dataEvalValue === "module" ? "module" : null;
+    if (this.hasAttribute("click-to-edit")) {
+      shadow.querySelector(".highlight").title = "Click to edit";
+    }
 
-        log(`🔥 Executing data-eval code for: ${this.id || "unnamed"}${scriptType ? ` (type: ${scriptType})` : ""}`);
+    this.#render();
+  }
 
-        const script = document.createElement("script");
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (!this.shadowRoot) return;
 
-        // Set script type if it's a module
-        if (scriptType) {
-          script.type = scriptType;
-        }
+    if (name === "value") {
+      this.#content = readElementContent(this);
+    }
 
-        script.textContent = codeToEval;
-        document.body.appendChild(script);
+    this.#render();
+  }
 
-        // Mark that initial eval was done
-        this._initialEvalDone = true;
+  /**
+   * Highlights content and replaces the placeholder
+   * @private
+   * @returns {Promise<void>}
+   */
+  async #render() {
+    const renderId = ++this.#renderId;
+    const aceEditorUrl = getAceEditorUrl();
 
-        triggerReady();
-      }, 0);
-    } else {
-      triggerReady();
+    if (!hasAceSource()) {
+      reportMissingAceSource();
+      return;
     }
-  }
 
-  // Handle attribute changes (React compatibility)
-  attributeChangedCallback(name, oldValue, newValue) {
-    if (!this.editor) return;
+    try {
+      await loadAceEditor(aceEditorUrl);
+      const highlight = await loadAceExtension("static_highlight", aceEditorUrl);
 
-    switch (name) {
-      case "value":
-        // If editor is readonly, store the pending value
-        if (this.editor.getReadOnly()) {
-          this._pendingValue = newValue;
-          return;
-        }
-        // Clear any pending value since we're applying this one
-        this._pendingValue = null;
+      const showGutter = this.hasAttribute("show-gutter")
+        ? parseBooleanAttribute(this.getAttribute("show-gutter"))
+        : true;
 
-        // Only update if value is actually different from the current editor value
-        const currentValue = this.editor.getValue();
+      const result = await new Promise((resolve) =>
+        highlight.render(
+          this.#content,
+          `ace/mode/${resolveAceMode(this.getAttribute("lang"))}`,
+          `ace/theme/${this.getAttribute("theme") || "idle_fingers"}`,
+          1,
+          !showGutter,
+          resolve
+        )
+      );
 
-        if (currentValue !== newValue) {
-          this.editor.setValue(newValue || "", -1);
-          this.editor.clearSelection();
-        }
-        break;
-      case "lang":
-        this.editor.getSession().setMode(`ace/mode/${newValue}`);
-        break;
-      case "theme":
-        this.editor.setTheme(`ace/theme/${newValue}`);
-        break;
-      case "readonly":
-        const isReadonly = newValue !== null;
-        this.editor.setReadOnly(isReadonly);
+      // A newer render started (attribute changed) while modules were loading
+      if (renderId !== this.#renderId || !this.shadowRoot) return;
 
-        // If readonly is being removed and there's a pending value, apply it
-        if (!isReadonly && this._pendingValue !== null) {
-          const cursorPosition = this.editor.getCursorPosition();
-          this.editor.setValue(this._pendingValue, -1);
-          try {
-            this.editor.moveCursorToPosition(cursorPosition);
-          } catch (e) {
-            // Cursor position might be invalid
-          }
-          this.editor.clearSelection();
-          this._pendingValue = null;
-        }
-        break;
-      case "min-height-px":
-      case "min-height-lines":
-        // Trigger height recalculation
-        if (this._heightUpdateFunction) {
-          this._heightUpdateFunction();
-        }
-        break;
+      this.#adoptHighlightCss(result.css);
+
+      this.shadowRoot.querySelector(".highlight").innerHTML = result.html;
+      this.shadowRoot.querySelector(".placeholder").hidden = true;
+    } catch (error) {
+      console.error(`❌ Failed to highlight ${this.id || "unnamed"}:`, error);
+      dispatchLoadError(this, error);
     }
   }
 
-  disconnectedCallback() {
-    if (this.editor) {
-      this.editor.destroy();
-      this.editor = null;
-    }
-    if (this._styleObserver) {
-      this._styleObserver.disconnect();
-      this._styleObserver = null;
-    }
+  /**
+   * Adds highlight css to the shadow root, sharing one constructed stylesheet across elements
+   * @private
+   * @param {string} css - Css returned by ext-static_highlight
+   */
+  #adoptHighlightCss(css) {
+    const shadow = this.shadowRoot;
 
-    // Unregister ID when component is removed
-    if (this.id) {
-      unregisterEditorId(this.id);
+    if (shadow.adoptedStyleSheets === undefined || typeof CSSStyleSheet.prototype.replaceSync !== "function") {
+      let style = shadow.querySelector("style.highlight-css");
+      if (!style) {
+        style = document.createElement("style");
+        style.className = "highlight-css";
+        shadow.appendChild(style);
+      }
+      style.textContent = css;
+      return;
     }
 
-    log(`🔌 Ace Editor component disconnected: ${this.id || "unnamed"}`);
-  }
+    if (!highlightStyleSheets.has(css)) {
+      const sheet = new CSSStyleSheet();
+      sheet.replaceSync(css);
+      highlightStyleSheets.set(css, sheet);
+    }
 
-  /**
-   * Get the native Ace Editor instance
-   *
-   * @returns {Object} The underlying Ace Editor instance
-   * @description
-   * Provides access to advanced Ace Editor features not exposed by the component API
-   *
-   * @example
-   * // Find text in the editor
-   * editor.getEditor().find('search term', { backwards: false })
-   */
-  getEditor() {
-    return this.editor;
+    shadow.adoptedStyleSheets = [highlightStyleSheets.get(css)];
   }
 
   /**
-   * Property getter for editor content
-   *
+   * Highlighted content
    * @type {string}
-   * @description Reads the current editor content
    */
   get value() {
-    return this.editor ? this.editor.getValue() : "";
+    return this.#content ?? readElementContent(this);
+  }
+
+  set value(value) {
+    this.#content = value ?? "";
+
+    if (this.shadowRoot) {
+      this.#render();
+    }
   }
 
   /**
-   * Property setter for editor content
+   * Replaces this element in place with a full <ace-editor> holding the same content
    *
-   * @param {string} value - New content for the editor
+   * @returns {AceEditorComponent} The new editor element
    * @description
-   * Sets the editor content without firing an 'input' event
-   * Matches native textarea behavior
-   *
-   * @example
-   * // Set editor content
-   * acecomp.value = 'new code';
+   * Attributes (lang, theme, id, ...) are copied over. Content is passed already decoded and dedented.
    */
-  set value(value) {
-    if (this.editor) {
-      // Set flag to suppress 'input' event during programmatic change
-      this._isProgrammaticChange = true;
+  upgrade() {
+    // Already replaced - a second call would insert another editor
+    if (this.#upgradedTo) return this.#upgradedTo;
 
-      const currentValue = this.editor.value;
+    const editor = document.createElement("ace-editor");
+    this.#upgradedTo = editor;
 
-      if (value !== currentValue) {
-        this.editor.setValue(value, -1);
+    Array.from(this.attributes).forEach(({ name, value }) => {
+      if (!["click-to-edit", "value"].includes(name)) {
+        editor.setAttribute(name, value);
       }
-      // For programmatic updates via setValue(), bypass readonly check
-      this._pendingValue = null;
+    });
 
-      // Reset flag after a tick to allow normal user input events
-      setTimeout(() => {
-        this._isProgrammaticChange = false;
-      }, 0);
-    } else {
-      this.initialContent = value;
-    }
+    // Content was already processed by readElementContent() - don't decode/dedent it twice
+    editor.setAttribute("data-nolt", "");
+    editor.setAttribute("data-notrim", "");
+    editor.value = this.value;
+
+    this.replaceWith(editor);
+
+    // Load errors and id conflicts are reported by the editor itself
+    editor.ready.then(({ editor: aceEditor }) => aceEditor.focus()).catch(() => {});
+
+    return editor;
   }
 }
 
-// Register the custom element
-customElements.define("ace-editor", AceEditorComponent);
+customElements.define("ace-highlight", AceHighlightComponent);
 
-log("loaded! <ace-editor> components are now registered.");
+log("loaded! <ace-editor>, <ace-diff> and <ace-highlight> components are now registered.");